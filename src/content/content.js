@@ -4,39 +4,226 @@
  */
 
 const analyzer = new DOMAnalyzer();
-let currentSettings = {
-  enabled: false,
-  brightness: 1,
-  contrast: 1,
-  warmth: 0
-};
+const stylesheetEngine = new StylesheetEngine(analyzer, {
+  onUnreadableSheet: fallBackToInlineEngine
+});
+const elementPicker = new ElementPicker({ onPick: saveElementRule });
+const scheduler = new ThemeScheduler({
+  process: processElement,
+  refresh: refreshElements,
+  collect: collectThemedElements
+});
+let currentSettings = { ...DEFAULT_SETTINGS };
+let stylesheetFallback = false; // Set when a sheet can't be read or fetched
+let pageDarkness = null; // Result of the last already-dark page analysis
+let themeMode = 'full'; // 'full', 'light' (soften an already-dark page) or 'skip'
 let mutationObserver = null;
 let elementColorMap = new WeakMap(); // Store original colors
+let shadowRoots = new Set(); // Open shadow roots discovered while walking
+let settingsSource = 'site'; // 'site', 'schedule', 'system' or 'override'
+let colorSchemeQuery = null;
+let showingOriginal = false; // Theme temporarily removed to peek at the page
+let contextMenuTarget = null; // Last right-clicked element, for the picker
+let customCssElement = null; // Managed <style> holding the site's custom CSS
+let nativeUiElement = null; // Managed <style> theming form controls, scrollbars and selection
+let lateShadowWatched = new WeakSet(); // Custom elements already waiting for a shadow root
+
+// Attributes sites toggle to change state (open menus, selected tabs, themes)
+const STATE_ATTRIBUTES = [
+  'class', 'open', 'hidden', 'checked', 'selected', 'disabled',
+  'aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed', 'aria-current',
+  'data-state', 'data-theme'
+];
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['style', ...STATE_ATTRIBUTES],
+  attributeOldValue: false
+};
+// Events after which :hover, :focus or :focus-within may match different elements
+const INTERACTION_EVENTS = ['mouseover', 'mouseout', 'focusin', 'focusout'];
+const STATE_CHAIN_DEPTH = 10; // Ancestors re-read per hover/focus change
+const STATE_REFRESH_LIMIT = 100; // Elements re-read per hover/focus change, descendants included
+const DEFAULT_ANALYSIS = { shouldInvert: true, shouldPreserve: false };
+const PRESERVED_ANALYSIS = { shouldInvert: false, shouldPreserve: true };
+const IMAGE_STYLE_PROPERTIES = ['filter'];
+const SVG_COLOR_PROPERTIES = ['fill', 'stroke'];
+const LATE_SHADOW_ROOT_RETRIES = 5;
+const LATE_SHADOW_ROOT_DELAY = 100; // ms, doubled on every retry
+const IS_TOP_FRAME = window === window.top;
 
 /**
- * Initialize theme for the current page
+ * Initialize theme for the current page. Settings are requested right away
+ * at document_start; theming waits for the DOM.
  */
 async function initializeTheme() {
-  const domain = getDomain();
-  const settings = await chrome.storage.local.get(domain);
+  const response = await requestSiteSettings();
+  await whenDomReady();
+
+  if (response && response.followsSystem) {
+    watchColorScheme();
+  }
+  if (IS_TOP_FRAME) {
+    watchNavigation();
+  } else {
+    watchMediaEmbed();
+  }
   
-  if (settings[domain]) {
-    currentSettings = { ...currentSettings, ...settings[domain] };
+  if (response && response.settings) {
+    settingsSource = response.source || 'site';
+    currentSettings = { ...DEFAULT_SETTINGS, ...response.settings };
     
     if (currentSettings.enabled) {
       applyTheme();
     }
   }
+
+  removeEarlyPaint();
 }
 
 /**
- * Get domain from current URL
+ * Resolves once the document has been parsed
  */
-function getDomain() {
-  try {
-    return new URL(window.location.href).hostname;
-  } catch {
-    return window.location.host;
+function whenDomReady() {
+  if (document.readyState !== 'loading') {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+}
+
+/**
+ * Hand over from the provisional dark base to the real theme. The service
+ * worker injects it as soon as the page commits; injected CSS can't be
+ * removed, so it stops applying once the root carries this attribute.
+ */
+function removeEarlyPaint() {
+  document.documentElement.setAttribute(EARLY_PAINT_DONE, '');
+}
+
+/**
+ * Ask the service worker for this page's settings. It matches the full URL
+ * against the stored site rules and also accounts for the schedule. In a
+ * frame, the service worker resolves the tab's top-level URL instead.
+ */
+function requestSiteSettings() {
+  return chrome.runtime.sendMessage({
+    action: 'getSiteSettings',
+    url: window.location.href,
+    prefersDark: window.matchMedia('(prefers-color-scheme: dark)').matches
+  });
+}
+
+/**
+ * Path rules can differ between pages of a single-page app, so settings are
+ * resolved again after same-document navigations
+ */
+function watchNavigation() {
+  if (!window.navigation) return;
+
+  let lastPath = window.location.pathname;
+  window.navigation.addEventListener('navigatesuccess', async () => {
+    if (window.location.pathname === lastPath) return;
+    lastPath = window.location.pathname;
+
+    const response = await requestSiteSettings();
+    if (response && response.settings) {
+      settingsSource = response.source || 'site';
+      applySettings(response.settings);
+    }
+  });
+}
+
+/**
+ * Players and maps often build their media only after the document has
+ * loaded, so a frame is checked once more when everything has loaded
+ */
+function watchMediaEmbed() {
+  const check = () => {
+    if (currentSettings.enabled && themeMode !== 'skip' && analyzer.isMediaEmbed()) {
+      removeTheme();
+      themeMode = 'skip';
+    }
+  };
+
+  if (document.readyState === 'complete') {
+    check();
+  } else {
+    window.addEventListener('load', check, { once: true });
+  }
+}
+
+/**
+ * Follow the OS dark/light preference live while the site isn't overridden
+ */
+function watchColorScheme() {
+  if (colorSchemeQuery) return;
+
+  colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  colorSchemeQuery.addEventListener('change', (event) => {
+    // Lets the service worker update every other tab too
+    if (IS_TOP_FRAME) {
+      chrome.runtime.sendMessage({ action: 'reportColorScheme', prefersDark: event.matches });
+    }
+
+    if (settingsSource === 'system') {
+      applySettings({ ...currentSettings, enabled: event.matches });
+    }
+  });
+}
+
+/**
+ * Switch to new settings, applying, updating or reverting the theme as needed
+ */
+function applySettings(settings) {
+  // Any settings change ends a peek at the original page
+  const wasEnabled = currentSettings.enabled && !showingOriginal;
+  showingOriginal = false;
+  const previous = currentSettings;
+  currentSettings = { ...DEFAULT_SETTINGS, ...settings };
+  const needsRestart = currentSettings.engine !== previous.engine ||
+    currentSettings.darkPageMode !== previous.darkPageMode ||
+    currentSettings.imageMode !== previous.imageMode ||
+    JSON.stringify(currentSettings.elementRules) !== JSON.stringify(previous.elementRules);
+  
+  if (currentSettings.enabled && wasEnabled && needsRestart) {
+    // Switching engines, dark-page handling, image mode or element rules: revert completely before starting over
+    removeTheme();
+    applyTheme();
+  } else if (currentSettings.enabled && !wasEnabled) {
+    applyTheme();
+  } else if (currentSettings.enabled) {
+    // Re-apply theme with new brightness/contrast/warmth values
+    updateThemeWithNewSettings();
+  } else if (wasEnabled) {
+    removeTheme();
+  }
+}
+
+/**
+ * Save a picked element's selector to this site's element rules. The
+ * service worker pushes the updated settings back to this tab.
+ */
+function saveElementRule(kind, selector) {
+  chrome.runtime.sendMessage({
+    action: 'addElementRule',
+    url: window.location.href,
+    kind,
+    selector
+  });
+}
+
+/**
+ * Show the untouched page, or bring the theme back, without changing any
+ * stored setting
+ */
+function toggleOriginal() {
+  if (showingOriginal) {
+    showingOriginal = false;
+    applyTheme();
+  } else if (currentSettings.enabled) {
+    showingOriginal = true;
+    removeTheme();
   }
 }
 
@@ -48,71 +235,478 @@ function applyTheme() {
     return;
   }
 
+  analyzer.setElementRules(currentSettings.elementRules);
+
+  // Analyze before touching anything, while the page shows its own colors.
+  // Dropping the provisional style and theming happen in the same task, so
+  // nothing is painted in between.
+  removeEarlyPaint();
+  pageDarkness = analyzer.analyzePageDarkness();
+  themeMode = resolveThemeMode(pageDarkness);
+  if (themeMode === 'skip') {
+    return;
+  }
+
+  if (usesStylesheetEngine()) {
+    stylesheetEngine.start(getTransformSettings());
+  }
+
+  // Collect first: on-screen elements are themed now, the rest in idle time
+  const elements = new Set();
+  walkElements(document.documentElement, node => elements.add(node));
+
+  scheduler.resetStats();
+  scheduler.schedule(Array.from(elements));
+
+  applyNativeUiCss();
+  applyCustomCss();
+
+  // Start observing for new content and state changes
+  startMutationObserver();
+  startInteractionTracking();
+}
+
+/**
+ * Theme what inline colors can't reach: native form controls and pickers
+ * (through color-scheme), scrollbars, the accent color, selected text and
+ * placeholders. Colors are derived from the current settings and palette.
+ */
+function applyNativeUiCss() {
+  if (!nativeUiElement) {
+    nativeUiElement = document.createElement('style');
+    nativeUiElement.setAttribute(OVERRIDE_MARKER, 'native-ui');
+  }
+
+  const css = buildNativeUiCss();
+  if (nativeUiElement.textContent !== css) {
+    nativeUiElement.textContent = css;
+  }
+  // After the page's styles but before the custom CSS, which can still override it
+  if (nativeUiElement.parentNode !== document.documentElement) {
+    const customCssIsPlaced = customCssElement && customCssElement.parentNode === document.documentElement;
+    document.documentElement.insertBefore(nativeUiElement, customCssIsPlaced ? customCssElement : null);
+  }
+}
+
+/**
+ * Native UI rules for the current settings. Light touch pages are already
+ * dark, so their native UI gets the fully themed colors too.
+ */
+function buildNativeUiCss() {
+  const settings = { ...getTransformSettings(), lightTouch: false };
+  const palette = settings.paletteColors;
+  const transform = (property, color, extra = {}) => analyzer.transformPropertyValue(property, color, { ...settings, ...extra });
+
+  // Light-scheme browser defaults, themed like any other color
+  const background = transform('background-color', 'rgb(255, 255, 255)');
+  const text = transform('color', 'rgb(0, 0, 0)');
+  const thumb = transform('background-color', 'rgb(193, 193, 193)');
+  const placeholder = transform('color', 'rgb(117, 117, 117)');
+  // Inverting a blue would darken it, so accent and selection start from
+  // dark-scheme defaults and only get the sliders, unless a palette sets them
+  const accent = palette ? palette.link : transform('color', 'rgb(153, 200, 255)', { lightTouch: true });
+  const selection = palette ? palette.selection : transform('background-color', 'rgb(38, 79, 120)', { lightTouch: true });
+
+  return `:root {
+  color-scheme: dark;
+  accent-color: ${accent};
+  scrollbar-color: ${thumb} ${background};
+}
+::selection { background-color: ${selection}; color: ${text}; }
+::placeholder { color: ${placeholder}; opacity: 1; }
+`;
+}
+
+/**
+ * Take the native UI stylesheet out of the page
+ */
+function removeNativeUiCss() {
+  if (nativeUiElement) {
+    nativeUiElement.remove();
+    nativeUiElement = null;
+  }
+}
+
+/**
+ * Inject the site's custom CSS, with the current slider values exposed as
+ * custom properties. It goes after <body> so it follows the page's and our
+ * own generated stylesheets in the cascade.
+ */
+function applyCustomCss() {
+  const css = currentSettings.customCss || '';
+  if (!css.trim()) {
+    removeCustomCss();
+    return;
+  }
+
+  if (!customCssElement) {
+    customCssElement = document.createElement('style');
+    customCssElement.setAttribute(OVERRIDE_MARKER, 'custom-css');
+  }
+
+  const variables = `:root {
+  --smart-dark-brightness: ${currentSettings.brightness};
+  --smart-dark-contrast: ${currentSettings.contrast};
+  --smart-dark-warmth: ${currentSettings.warmth};
+}
+`;
+  if (customCssElement.textContent !== variables + css) {
+    customCssElement.textContent = variables + css;
+  }
+  if (customCssElement.parentNode !== document.documentElement) {
+    document.documentElement.appendChild(customCssElement);
+  }
+}
+
+/**
+ * Take the custom CSS off the page
+ */
+function removeCustomCss() {
+  if (customCssElement) {
+    customCssElement.remove();
+  }
+}
+
+/**
+ * Visit every element below root, descending into open shadow roots
+ */
+function walkElements(root, callback) {
+  if (root.shadowRoot) {
+    visitShadowRoot(root, callback);
+  }
+
   const walker = document.createTreeWalker(
-    document.documentElement,
+    root,
     NodeFilter.SHOW_ELEMENT,
     null,
     false
   );
 
   let node;
-  const processed = new Set();
 
-  while (node = walker.nextNode()) {
-    if (processed.has(node)) continue;
-    processed.add(node);
+  while ((node = walker.nextNode())) {
+    callback(node);
+
+    if (node.shadowRoot) {
+      visitShadowRoot(node, callback);
+    } else {
+      watchForLateShadowRoot(node);
+    }
+  }
+}
+
+/**
+ * Register a host's shadow root for observation and walk its contents
+ */
+function visitShadowRoot(host, callback) {
+  registerShadowRoot(host.shadowRoot);
+  walkElements(host.shadowRoot, callback);
+}
+
+/**
+ * Track an open shadow root so the mutation observer covers it too
+ */
+function registerShadowRoot(shadowRoot) {
+  if (shadowRoots.has(shadowRoot)) return;
+  shadowRoots.add(shadowRoot);
+
+  if (stylesheetEngine.isActive()) {
+    stylesheetEngine.attach(shadowRoot);
+  }
+
+  if (mutationObserver) {
+    mutationObserver.observe(shadowRoot, OBSERVER_OPTIONS);
+  }
+}
+
+/**
+ * Custom elements usually attach their shadow root when they upgrade,
+ * which can happen after the host is already in the document
+ */
+function watchForLateShadowRoot(element, attempt = 0) {
+  if (!element.localName.includes('-') || element.shadowRoot) return;
+
+  // Every walk passes each host; only the first one arms the watcher
+  if (attempt === 0) {
+    if (lateShadowWatched.has(element)) return;
+    lateShadowWatched.add(element);
+  }
+
+  // customElements is unavailable in the isolated world of some browsers
+  if (window.customElements && attempt === 0) {
+    window.customElements.whenDefined(element.localName)
+      .then(() => adoptLateShadowRoot(element, attempt));
+    return;
+  }
+
+  if (attempt < LATE_SHADOW_ROOT_RETRIES) {
+    setTimeout(
+      () => adoptLateShadowRoot(element, attempt + 1),
+      LATE_SHADOW_ROOT_DELAY * Math.pow(2, attempt)
+    );
+  }
+}
+
+/**
+ * Theme a shadow root that appeared after its host was first processed
+ */
+function adoptLateShadowRoot(element, attempt) {
+  if (!currentSettings.enabled || themeMode === 'skip' || showingOriginal || !element.isConnected) return;
+
+  if (!element.shadowRoot) {
+    watchForLateShadowRoot(element, attempt + 1);
+    return;
+  }
+
+  if (shadowRoots.has(element.shadowRoot)) return;
+  visitShadowRoot(element, child => scheduler.add(child));
+}
+
+/**
+ * Run a single element through the analyzer and transform it if needed
+ */
+function processElement(element) {
+  // Our own UI, such as the element picker, is never themed
+  if (element.hasAttribute(OVERRIDE_MARKER)) {
+    return PRESERVED_ANALYSIS;
+  }
+
+  // Images are handled by the image mode under either engine
+  if (isTreatableImage(element)) {
+    treatImage(element);
+    return PRESERVED_ANALYSIS;
+  }
+
+  // The stylesheet engine covers everything except inline style attributes
+  if (stylesheetEngine.isActive() && !element.hasAttribute('style')) {
+    return DEFAULT_ANALYSIS;
+  }
+
+  const analysis = analyzer.analyzeElement(element);
+  if (analysis.shouldInvert && !analysis.shouldPreserve) {
+    if (stylesheetEngine.isActive()) {
+      transformInlineStyle(element);
+    } else {
+      transformElement(element);
+    }
+  }
+  return analysis;
+}
 
-    const analysis = analyzer.analyzeElement(node);
+/**
+ * An <img> or outermost <svg> the image mode applies to. Element picker
+ * rules take precedence over it.
+ */
+function isTreatableImage(element) {
+  if (currentSettings.imageMode === 'preserve') return false;
+
+  const isImage = element.localName === 'img' || (element.localName === 'svg' && !element.ownerSVGElement);
+  return isImage && !analyzer.getElementRule(element);
+}
+
+/**
+ * Classify an image once and apply the treatment for its class. Images
+ * that can't be classified yet are tried again when they (re)load.
+ */
+function treatImage(element) {
+  let colorData = elementColorMap.get(element);
 
-    if (analysis.shouldPreserve) {
-      // Skip media elements entirely
-      continue;
+  if (!colorData) {
+    const imageClass = currentSettings.imageMode === 'dim' ? 'photo' : analyzer.classifyImage(element);
+    if (!imageClass) {
+      if (element.localName === 'img') {
+        element.addEventListener('load', handleImageLoad, { once: true });
+      }
+      return;
     }
 
-    if (analysis.shouldInvert) {
-      transformElement(node);
+    colorData = {
+      imageClass,
+      originalFilter: window.getComputedStyle(element).filter,
+      originalInline: captureInlineColors(element, IMAGE_STYLE_PROPERTIES)
+    };
+    elementColorMap.set(element, colorData);
+  }
+
+  applyImageTreatment(element, colorData);
+}
+
+/**
+ * Lazily loaded images often start out as an empty placeholder
+ */
+function handleImageLoad(event) {
+  if (!currentSettings.enabled || themeMode === 'skip' || showingOriginal) return;
+  processElement(event.target);
+}
+
+/**
+ * Dim photos, invert dark icons and light diagrams, and recolor the
+ * fills and strokes of SVG icons and diagrams instead of filtering them
+ */
+function applyImageTreatment(element, colorData) {
+  if (element.localName === 'svg' && colorData.imageClass !== 'photo') {
+    recolorSvg(element);
+    return;
+  }
+
+  const filter = getImageFilter(colorData.imageClass);
+  if (!filter) {
+    restoreInlineColors(element, colorData.originalInline);
+  } else {
+    // Keep any filter the page applies itself
+    const value = colorData.originalFilter && colorData.originalFilter !== 'none'
+      ? `${colorData.originalFilter} ${filter}`
+      : filter;
+    if (element.style.getPropertyValue('filter') !== value) {
+      element.style.setProperty('filter', value);
     }
   }
 
-  // Start observing for new content
-  startMutationObserver();
+  rememberOwnStyle(element, colorData);
+}
+
+/**
+ * CSS filter for an image class, or null to leave the image as it is
+ */
+function getImageFilter(imageClass) {
+  if (imageClass === 'photo') {
+    return currentSettings.imageDimming > 0 ? `brightness(${1 - currentSettings.imageDimming})` : null;
+  }
+  // Light touch keeps an already-dark page's icons, which already suit it
+  if (themeMode === 'light') return null;
+
+  return 'invert(1) hue-rotate(180deg)';
+}
+
+/**
+ * Transform the fill and stroke colors of every shape in an SVG,
+ * remembering the computed originals so settings changes start from them
+ */
+function recolorSvg(svg) {
+  svg.querySelectorAll(SVG_SHAPE_SELECTOR).forEach((shape) => {
+    let colorData = elementColorMap.get(shape);
+    if (!colorData) {
+      const style = window.getComputedStyle(shape);
+      colorData = {
+        svgColors: { fill: style.fill, stroke: style.stroke },
+        originalInline: captureInlineColors(shape, SVG_COLOR_PROPERTIES)
+      };
+      elementColorMap.set(shape, colorData);
+    }
+
+    Object.entries(colorData.svgColors).forEach(([property, value]) => {
+      if (!analyzer.parseColor(value)) return; // none and url() paints
+
+      const newValue = analyzer.transformPropertyValue(property, value, getTransformSettings());
+      if (shape.style.getPropertyValue(property) !== newValue) {
+        shape.style.setProperty(property, newValue);
+      }
+    });
+    rememberOwnStyle(shape, colorData);
+  });
+}
+
+/**
+ * Re-apply image treatments with the current settings, e.g. a new dimming amount
+ */
+function refreshImages() {
+  [document, ...shadowRoots].forEach((root) => {
+    root.querySelectorAll('img, svg').forEach((element) => {
+      const colorData = elementColorMap.get(element);
+      if (colorData && colorData.imageClass) {
+        applyImageTreatment(element, colorData);
+      }
+    });
+  });
+}
+
+/**
+ * Pick how to theme the page given whether it is already dark
+ */
+function resolveThemeMode(darkness) {
+  if (!IS_TOP_FRAME && analyzer.isMediaEmbed()) {
+    return 'skip';
+  }
+  if (!darkness.isDark || currentSettings.darkPageMode === 'ignore') {
+    return 'full';
+  }
+  return currentSettings.darkPageMode === 'soften' ? 'light' : 'skip';
+}
+
+/**
+ * Settings passed to the color transforms for the current theme mode
+ */
+function getTransformSettings() {
+  return {
+    ...currentSettings,
+    lightTouch: themeMode === 'light',
+    paletteColors: getPaletteColors(currentSettings)
+  };
+}
+
+/**
+ * Whether this page should be themed through generated stylesheets
+ */
+function usesStylesheetEngine() {
+  return currentSettings.engine === 'stylesheet' && !stylesheetFallback;
+}
+
+/**
+ * Switch the page to per-element theming when a stylesheet can't be read
+ */
+function fallBackToInlineEngine(href) {
+  console.warn('Falling back to inline theming, unreadable stylesheet:', href);
+  stylesheetFallback = true;
+
+  if (currentSettings.enabled) {
+    removeTheme();
+    applyTheme();
+  }
 }
 
 /**
  * Re-apply theme with updated settings (when sliders change)
  */
 function updateThemeWithNewSettings() {
-  if (!currentSettings.enabled) {
+  if (!currentSettings.enabled || themeMode === 'skip') {
     return;
   }
 
-  // Iterate through all elements and reapply colors with new settings
-  const allElements = document.querySelectorAll('*');
-  
-  allElements.forEach(element => {
-    const colorData = elementColorMap.get(element);
-    
-    if (colorData) {
-      try {
-        // Recompute colors with new settings
-        if (colorData.originalColor && colorData.originalColor !== 'rgba(0, 0, 0, 0)') {
-          const newColor = analyzer.invertForDarkTheme(colorData.originalColor, currentSettings);
-          element.style.color = newColor;
-        }
-        
-        if (colorData.originalBg && colorData.originalBg !== 'rgba(0, 0, 0, 0)' && !analyzer.isMediaElement(element)) {
-          const newBgColor = analyzer.invertForDarkTheme(colorData.originalBg, currentSettings);
-          element.style.backgroundColor = newBgColor;
+  applyNativeUiCss();
+  applyCustomCss();
+  refreshImages();
+
+  if (stylesheetEngine.isActive()) {
+    stylesheetEngine.update(getTransformSettings());
+
+    // Only elements with inline styles were touched directly; images
+    // were refreshed above
+    [document, ...shadowRoots].forEach((root) => {
+      root.querySelectorAll('[style]').forEach((element) => {
+        const colorData = elementColorMap.get(element);
+        if (colorData && !colorData.imageClass && !colorData.svgColors) {
+          transformInlineStyle(element);
         }
-        
-        if (colorData.originalBorder && colorData.originalBorder !== 'rgba(0, 0, 0, 0)') {
-          const newBorderColor = analyzer.invertForDarkTheme(colorData.originalBorder, currentSettings);
-          element.style.borderColor = newBorderColor;
+      });
+    });
+    return;
+  }
+
+  // Iterate through all elements, shadow content included, and reapply
+  // colors with new settings
+  [document, ...shadowRoots].forEach((root) => {
+    root.querySelectorAll('*').forEach(element => {
+      const colorData = elementColorMap.get(element);
+
+      if (colorData && colorData.original) {
+        try {
+          // Recompute colors with new settings
+          applyColorData(element, colorData);
+        } catch (e) {
+          // Skip if error
         }
-      } catch (e) {
-        // Skip if error
       }
-    }
+    });
   });
 }
 
@@ -121,49 +715,167 @@ function updateThemeWithNewSettings() {
  */
 function transformElement(element) {
   try {
-    const style = window.getComputedStyle(element);
-    
     // Store original colors if not already stored
     let colorData = elementColorMap.get(element);
     if (!colorData) {
       colorData = {
-        originalColor: style.color,
-        originalBg: style.backgroundColor,
-        originalBorder: style.borderColor
+        original: readComputedColors(element),
+        originalInline: captureInlineColors(element)
       };
       elementColorMap.set(element, colorData);
     }
 
-    // Transform text color
-    if (colorData.originalColor && colorData.originalColor !== 'rgba(0, 0, 0, 0)') {
-      const newColor = analyzer.invertForDarkTheme(colorData.originalColor, currentSettings);
-      element.style.color = newColor;
+    applyColorData(element, colorData);
+  } catch (e) {
+    console.warn('Error transforming element:', e);
+  }
+}
+
+/**
+ * The element's computed value for every themed property
+ */
+function readComputedColors(element) {
+  const style = window.getComputedStyle(element);
+  const colors = {};
+  THEMED_COLOR_PROPERTIES.forEach((property) => {
+    colors[property] = style.getPropertyValue(property);
+  });
+  return colors;
+}
+
+/**
+ * Write transformed versions of an element's original computed colors
+ */
+function applyColorData(element, colorData) {
+  // Includes elements marked "treat as media" with the picker
+  const isMedia = analyzer.analyzeElement(element).isMedia;
+  const settings = getTransformSettings();
+  if (settings.paletteColors) {
+    settings.isLink = Boolean(element.closest('a[href]'));
+  }
+
+  Object.entries(colorData.original).forEach(([property, value]) => {
+    if (!value || value === 'rgba(0, 0, 0, 0)' || value === 'none') return;
+
+    // Keep backgrounds of media elements intact
+    if (property === 'background-color' && isMedia) return;
+
+    const newValue = analyzer.transformPropertyValue(property, value, settings);
+    if (newValue !== value) {
+      element.style.setProperty(property, newValue);
     }
+  });
+
+  enforceTextContrast(element);
+  rememberOwnStyle(element, colorData);
+}
+
+/**
+ * Record the style attribute as we left it, so the mutation observer can
+ * tell our own writes from the page's
+ */
+function rememberOwnStyle(element, colorData) {
+  colorData.ownStyle = element.getAttribute('style');
+  colorData.written = {};
+  Object.keys(colorData.originalInline.declarations).forEach((property) => {
+    colorData.written[property] = element.style.getPropertyValue(property);
+  });
+}
 
-    // Transform background color (skip if it's a media element)
-    if (colorData.originalBg && colorData.originalBg !== 'rgba(0, 0, 0, 0)' && !analyzer.isMediaElement(element)) {
-      const newBgColor = analyzer.invertForDarkTheme(colorData.originalBg, currentSettings);
-      element.style.backgroundColor = newBgColor;
+/**
+ * Take inline declarations the page changed since our last write as its
+ * new originals
+ */
+function syncInlineSnapshot(element, colorData) {
+  if (!colorData.written) return;
+
+  const { declarations } = colorData.originalInline;
+  Object.keys(declarations).forEach((property) => {
+    const value = element.style.getPropertyValue(property);
+    if (value !== colorData.written[property]) {
+      declarations[property] = { value, priority: element.style.getPropertyPriority(property) };
     }
+  });
+}
+
+/**
+ * Re-read the page's own colors for themed elements whose classes, state
+ * or inline style changed, then theme them again. All of our inline colors
+ * come off first, so computed values are the page's.
+ */
+function refreshElements(elements) {
+  if (!currentSettings.enabled || themeMode === 'skip') return;
+
+  const rethemed = [];
+  elements.forEach((element) => {
+    const colorData = elementColorMap.get(element);
+    if (!colorData || colorData.imageClass || colorData.svgColors) return;
+
+    syncInlineSnapshot(element, colorData);
+    analyzer.forget(element);
 
-    // Transform border colors
-    if (colorData.originalBorder && colorData.originalBorder !== 'rgba(0, 0, 0, 0)') {
-      const newBorderColor = analyzer.invertForDarkTheme(colorData.originalBorder, currentSettings);
-      element.style.borderColor = newBorderColor;
+    if (colorData.original) {
+      restoreInlineColors(element, colorData.originalInline);
+      rethemed.push([element, colorData]);
+    } else {
+      // Stylesheet engine: only the inline colors are ours
+      transformInlineStyle(element);
     }
+  });
 
-  } catch (e) {
-    console.warn('Error transforming element:', e);
+  // Read everything before writing anything
+  rethemed.forEach(([element, colorData]) => {
+    colorData.original = readComputedColors(element);
+  });
+  rethemed.forEach(([element, colorData]) => applyColorData(element, colorData));
+}
+
+/**
+ * Lighten or darken transformed text until it meets the WCAG target
+ * against the background actually painted behind it
+ */
+function enforceTextContrast(element) {
+  if (!hasOwnText(element)) return;
+
+  const style = window.getComputedStyle(element);
+  const background = analyzer.getEffectiveBackground(element);
+  const required = analyzer.getRequiredContrast(currentSettings.contrastLevel, analyzer.isLargeText(style));
+
+  const adjusted = analyzer.ensureContrast(style.color, background, required);
+  if (adjusted !== style.color) {
+    element.style.setProperty('color', adjusted);
   }
 }
 
 /**
- * Transform box shadow colors
+ * Whether an element directly contains visible text
+ */
+function hasOwnText(element) {
+  return Array.from(element.childNodes).some((node) => {
+    return node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '';
+  });
+}
+
+/**
+ * Transform only the colors set in an element's style attribute
  */
-function transformBoxShadow(shadowString) {
-  // This is a simplified version - full parsing is complex
-  // In production, consider using a shadow parser library
-  return shadowString;
+function transformInlineStyle(element) {
+  let colorData = elementColorMap.get(element);
+  if (!colorData) {
+    colorData = { originalInline: captureInlineColors(element) };
+    elementColorMap.set(element, colorData);
+  }
+
+  Object.entries(colorData.originalInline.declarations).forEach(([property, original]) => {
+    if (!original.value) return;
+
+    const newValue = analyzer.transformPropertyValue(property, original.value, getTransformSettings());
+    if (newValue !== original.value) {
+      element.style.setProperty(property, newValue, original.priority);
+    }
+  });
+
+  rememberOwnStyle(element, colorData);
 }
 
 /**
@@ -172,57 +884,124 @@ function transformBoxShadow(shadowString) {
 function startMutationObserver() {
   if (mutationObserver) return;
 
+  // Changes are only collected here; the scheduler processes each frame's
+  // worth together, on-screen elements first
   mutationObserver = new MutationObserver((mutations) => {
-    const processed = new Set();
-
     mutations.forEach((mutation) => {
       if (mutation.type === 'childList') {
         mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === 1 && !processed.has(node)) { // Element node
-            processed.add(node);
-            
-            const analysis = analyzer.analyzeElement(node);
-            if (analysis.shouldInvert && !analysis.shouldPreserve) {
-              transformElement(node);
-              
-              // Also transform children
-              const children = node.querySelectorAll('*');
-              children.forEach(child => {
-                if (!processed.has(child)) {
-                  processed.add(child);
-                  const childAnalysis = analyzer.analyzeElement(child);
-                  if (childAnalysis.shouldInvert && !childAnalysis.shouldPreserve) {
-                    transformElement(child);
-                  }
-                }
-              });
-            }
+          if (node.nodeType === 1) { // Element node
+            scheduler.add(node);
+            // Also its children, including those in shadow roots
+            walkElements(node, child => scheduler.add(child));
           }
         });
       }
 
-      if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-        const node = mutation.target;
-        if (!processed.has(node)) {
-          processed.add(node);
-          const analysis = analyzer.analyzeElement(node);
-          if (analysis.shouldInvert && !analysis.shouldPreserve) {
-            transformElement(node);
-          }
-        }
+      if (mutation.type === 'attributes') {
+        handleAttributeChange(mutation.target, mutation.attributeName);
       }
     });
   });
 
-  mutationObserver.observe(document.documentElement, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['style'],
-    attributeOldValue: false
+  mutationObserver.observe(document.documentElement, OBSERVER_OPTIONS);
+
+  shadowRoots.forEach((shadowRoot) => {
+    if (shadowRoot.host.isConnected) {
+      mutationObserver.observe(shadowRoot, OBSERVER_OPTIONS);
+    } else {
+      shadowRoots.delete(shadowRoot);
+    }
   });
 }
 
+/**
+ * Our own style writes are ignored. A page edit to an inline style re-reads
+ * that element; class and state changes re-read the whole subtree, since
+ * descendants' colors often depend on them. The scheduler walks it later.
+ */
+function handleAttributeChange(element, attributeName) {
+  const colorData = elementColorMap.get(element);
+
+  if (attributeName === 'style') {
+    if (!colorData) {
+      scheduler.add(element);
+    } else if (element.getAttribute('style') !== colorData.ownStyle) {
+      scheduler.refresh([element]);
+    }
+    return;
+  }
+
+  scheduler.refreshSubtree(element);
+}
+
+/**
+ * Themed elements in a subtree, the root included, descending into the
+ * shadow roots already being themed. Pulled lazily by the scheduler.
+ */
+function* collectThemedElements(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+  for (let node = root; node; node = walker.nextNode()) {
+    if (elementColorMap.has(node)) yield node;
+    if (node.shadowRoot && shadowRoots.has(node.shadowRoot)) {
+      yield* collectThemedElements(node.shadowRoot);
+    }
+  }
+}
+
+/**
+ * Follow hover and focus changes (per-element engine only; generated
+ * stylesheets keep the page's :hover and :focus rules)
+ */
+function startInteractionTracking() {
+  INTERACTION_EVENTS.forEach(type => document.addEventListener(type, handleInteraction, true));
+}
+
+/**
+ * Stop following hover and focus changes
+ */
+function stopInteractionTracking() {
+  INTERACTION_EVENTS.forEach(type => document.removeEventListener(type, handleInteraction, true));
+}
+
+/**
+ * Colors from :hover, :focus and :focus-within rules are hidden behind our
+ * inline styles, so elements whose state just changed are re-read: the ones
+ * between the element left and the one entered, and small subtrees below them
+ */
+function handleInteraction(event) {
+  if (stylesheetEngine.isActive()) return;
+
+  const target = event.composedPath().find(node => node.nodeType === 1) || null;
+  const related = event.relatedTarget;
+  const elements = new Set();
+
+  collectStateChain(target, related, elements);
+  collectStateChain(related, target, elements);
+
+  scheduler.refresh(Array.from(elements).filter(element => elementColorMap.has(element)));
+}
+
+/**
+ * Add `start` and its ancestors, up to the first one that also contains
+ * `other` (whose state didn't change), with descendants while within the limit
+ */
+function collectStateChain(start, other, elements) {
+  let node = start;
+  for (let depth = 0; node && node.nodeType === 1 && depth < STATE_CHAIN_DEPTH; depth++) {
+    if (other && node.contains(other)) break;
+
+    elements.add(node);
+    const descendants = node.getElementsByTagName('*');
+    if (elements.size + descendants.length <= STATE_REFRESH_LIMIT) {
+      Array.from(descendants).forEach(descendant => elements.add(descendant));
+    }
+
+    node = node.parentElement || node.getRootNode().host || null;
+  }
+}
+
 /**
  * Remove dark theme
  */
@@ -231,9 +1010,56 @@ function removeTheme() {
     mutationObserver.disconnect();
     mutationObserver = null;
   }
+  scheduler.clear();
+  stopInteractionTracking();
+  shadowRoots.clear();
+  stylesheetEngine.stop();
+  removeNativeUiCss();
+  removeCustomCss();
+
+  walkElements(document.documentElement, (element) => {
+    const colorData = elementColorMap.get(element);
+    if (colorData) {
+      restoreInlineColors(element, colorData.originalInline);
+    }
+  });
+
+  elementColorMap = new WeakMap();
+}
+
+/**
+ * Snapshot the inline declarations we are about to overwrite
+ */
+function captureInlineColors(element, properties = THEMED_COLOR_PROPERTIES) {
+  const snapshot = {
+    hadStyleAttribute: element.hasAttribute('style'),
+    declarations: {}
+  };
+  properties.forEach((property) => {
+    snapshot.declarations[property] = {
+      value: element.style.getPropertyValue(property),
+      priority: element.style.getPropertyPriority(property)
+    };
+  });
+  return snapshot;
+}
+
+/**
+ * Put inline color declarations back exactly as they were before theming
+ */
+function restoreInlineColors(element, snapshot) {
+  Object.entries(snapshot.declarations).forEach(([property, original]) => {
+    if (original.value) {
+      element.style.setProperty(property, original.value, original.priority);
+    } else {
+      element.style.removeProperty(property);
+    }
+  });
 
-  // Reload page to restore original styles
-  location.reload();
+  // Don't leave an empty style="" behind on elements that never had one
+  if (!snapshot.hadStyleAttribute && element.getAttribute('style') === '') {
+    element.removeAttribute('style');
+  }
 }
 
 /**
@@ -241,36 +1067,51 @@ function removeTheme() {
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'toggleTheme') {
-    currentSettings = request.settings;
-    
-    if (currentSettings.enabled) {
-      applyTheme();
+    if (request.temporary) {
+      toggleOriginal();
     } else {
-      removeTheme();
+      applySettings(request.settings);
     }
     
-    sendResponse({ success: true });
+    sendResponse({ success: true, showingOriginal });
   }
 
   if (request.action === 'updateSettings') {
-    currentSettings = request.settings;
-    
-    if (currentSettings.enabled) {
-      // Re-apply theme with new brightness/contrast/warmth values
-      updateThemeWithNewSettings();
+    if (request.source) {
+      settingsSource = request.source;
     }
+    if (request.followsSystem) {
+      watchColorScheme();
+    }
+
+    applySettings(request.settings);
     
     sendResponse({ success: true });
   }
 
+  // Only the top frame answers for the page as a whole
+  if (request.action === 'getStatus' && !IS_TOP_FRAME) return;
+
+  if (request.action === 'startPicker') {
+    elementPicker.start(request.fromContextMenu ? contextMenuTarget : null);
+    sendResponse({ success: true });
+  }
+
   if (request.action === 'getStatus') {
-    sendResponse({ settings: currentSettings });
+    sendResponse({
+      settings: currentSettings,
+      pageDarkness: pageDarkness || analyzer.analyzePageDarkness(),
+      themeMode,
+      showingOriginal,
+      processing: scheduler.getStats()
+    });
   }
 });
 
+// Remember what was right-clicked in case the picker is opened from the context menu
+document.addEventListener('contextmenu', (event) => {
+  contextMenuTarget = event.composedPath().find(node => node.nodeType === 1) || null;
+}, true);
+
 // Initialize on page load
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeTheme);
-} else {
-  initializeTheme();
-}
+initializeTheme();
@@ -4,6 +4,179 @@
  * Respects media, preserves visual identity, ensures accessibility
  */
 
+// CSS named colors (CSS Color 4), as hex
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// Element picker rule kinds, strongest first when one element matches several
+const ELEMENT_RULE_KINDS = ['never', 'media', 'always'];
+
+// Conversion matrices from the CSS Color 4 reference code
+const COLOR_MATRICES = {
+  xyzD65ToLinearSrgb: [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+  d50ToD65: [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580106629, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+  ],
+  linearP3ToXyzD65: [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ],
+  linearA98ToXyzD65: [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+  ],
+  linearRec2020ToXyzD65: [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+  ],
+  linearProPhotoToXyzD50: [
+    [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+    [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+    [0, 0, 0.8251046025104601]
+  ],
+  oklabToLms: [
+    [1, 0.3963377774, 0.2158037573],
+    [1, -0.1055613458, -0.0638541728],
+    [1, -0.0894841775, -1.2914855480]
+  ],
+  linearSrgbToLms: [
+    [0.4122214708, 0.5363325363, 0.0514459929],
+    [0.2119034982, 0.6806995451, 0.1073969566],
+    [0.0883024619, 0.2817188376, 0.6299787005]
+  ],
+  lmsToOklab: [
+    [0.2104542553, 0.7936177850, -0.0040720468],
+    [1.9779984951, -2.4285922050, 0.4505937099],
+    [0.0259040371, 0.7827717662, -0.8086757660]
+  ],
+  lmsToLinearSrgb: [
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.7076147010]
+  ]
+};
+
+// Longhand properties that carry colors, themed by both engines.
+// Borders are listed per side so mixed border colors survive.
+const THEMED_COLOR_PROPERTIES = [
+  'color',
+  'background-color',
+  'border-top-color',
+  'border-right-color',
+  'border-bottom-color',
+  'border-left-color',
+  'outline-color',
+  'text-decoration-color',
+  'caret-color',
+  'column-rule-color',
+  'box-shadow',
+  'text-shadow',
+  'background-image'
+];
+
+// Pages whose sampled background luminance falls below this are already dark
+const DARK_PAGE_LUMINANCE = 0.2;
+const PAGE_SAMPLE_CONTAINERS = 5;
+const PAGE_SAMPLE_DEPTH = 3;
+// Share of a frame's viewport that media must cover for it to count as a
+// media embed (video player, map) rather than a document
+const MEDIA_EMBED_COVERAGE = 0.5;
+const MEDIA_EMBED_SELECTOR = 'video, canvas, embed, object, img';
+
+// Palette mapping: each role spreads a ramp of palette colors over original
+// lightness, from the lightest original color (first) to the darkest (last)
+const PALETTE_RAMPS = {
+  background: ['background', 'surface', 'border', 'mutedText'],
+  text: ['background', 'mutedText', 'text'],
+  border: ['surface', 'border', 'mutedText'],
+  any: ['background', 'surface', 'border', 'mutedText', 'text']
+};
+const PALETTE_PROPERTY_ROLES = {
+  'color': 'text',
+  'caret-color': 'text',
+  'text-decoration-color': 'text',
+  'text-shadow': 'text',
+  'background-color': 'background',
+  'background-image': 'background',
+  'box-shadow': 'background',
+  'border-top-color': 'border',
+  'border-right-color': 'border',
+  'border-bottom-color': 'border',
+  'border-left-color': 'border',
+  'outline-color': 'border',
+  'column-rule-color': 'border'
+};
+// OKLab chroma above which a color keeps its hue instead of taking a palette color
+const PALETTE_MAX_CHROMA = 0.06;
+
+// Image classification for the smart image mode
+const IMAGE_SAMPLE_SIZE = 32; // Images are downscaled to this many pixels per side
+const PHOTO_MIN_AREA = 96 * 96; // Unreadable images at least this big count as photos
+const ICON_MIN_TRANSPARENCY = 0.2; // Share of see-through pixels in an icon
+const ICON_MAX_LUMINANCE = 0.2; // Average luminance of a dark icon's opaque pixels
+const ICON_MAX_CHROMA = 40; // Average channel spread (0-255) of a monochrome icon
+const DIAGRAM_MIN_LIGHT = 0.6; // Share of near-white pixels in a diagram
+const DIAGRAM_MAX_COLORS = 24; // Distinct colors in a diagram, after quantizing
+const SVG_MAX_COLORS = 4; // More fill/stroke colors than this is an illustration
+const SVG_SHAPE_SELECTOR = 'path, circle, ellipse, line, polygon, polyline, rect, text, use';
+
+// Minimum text contrast ratios per WCAG level
+const CONTRAST_REQUIREMENTS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+const CONTRAST_LIGHTNESS_STEP = 0.02;
+
+const GRADIENT_PATTERN = /^(-webkit-|-moz-)?(repeating-)?(linear|radial|conic)-gradient\(/;
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
 class DOMAnalyzer {
   constructor() {
     this.mediaSelectors = [
@@ -16,6 +189,63 @@ class DOMAnalyzer {
     this.containerElements = ['div', 'section', 'article', 'main', 'aside', 'nav', 'header', 'footer'];
     
     this.elementCache = new WeakMap();
+    this.elementRules = []; // [kind, selector list] from the element picker
+    this.imageClassCache = new Map(); // Image URL -> sampled class, or null if unreadable
+    this.sampleCanvas = null;
+    this.paletteCache = new WeakMap(); // Palette colors object -> role -> [r, g, b]
+  }
+
+  /**
+   * Per-site selectors saved with the element picker, consulted before the
+   * built-in rules. Invalid selectors are dropped rather than breaking the list.
+   */
+  setElementRules(rules = {}) {
+    const probe = document.createDocumentFragment();
+    const isValid = (selector) => {
+      try {
+        probe.querySelector(selector);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    };
+
+    this.elementRules = ELEMENT_RULE_KINDS
+      .map(kind => [kind, (rules[kind] || []).filter(isValid).join(', ')])
+      .filter(([, selector]) => selector);
+    this.elementCache = new WeakMap();
+  }
+
+  /**
+   * Picker selectors for elements that keep their own colors ('never' and
+   * 'media') as one selector list, or '' when there are none
+   */
+  getUntouchedSelector() {
+    return this.elementRules
+      .filter(([kind]) => kind !== 'always')
+      .map(([, selector]) => selector)
+      .join(', ');
+  }
+
+  /**
+   * Drop the cached analysis of an element whose classes or state changed
+   */
+  forget(element) {
+    this.elementCache.delete(element);
+  }
+
+  /**
+   * Picker rule for the nearest element, itself or an ancestor (across
+   * shadow boundaries), that one matches: 'never', 'media', 'always' or null
+   */
+  getElementRule(element) {
+    if (!this.elementRules.length) return null;
+
+    for (let node = element; node; node = node.parentElement || node.getRootNode().host) {
+      const match = this.elementRules.find(([, selector]) => node.matches(selector));
+      if (match) return match[0];
+    }
+    return null;
   }
 
   /**
@@ -23,10 +253,22 @@ class DOMAnalyzer {
    */
   isMediaElement(element) {
     if (!element) return false;
-    
+
+    if (this.isEmbeddedMedia(element)) return true;
+
+    // background-image with at least one real image layer (gradients don't count)
+    const style = window.getComputedStyle(element);
+    return this.getBackgroundLayers(style.backgroundImage).some(layer => layer.type === 'image');
+  }
+
+  /**
+   * Media that is part of the content itself: media tags, SVG, data URIs
+   */
+  isEmbeddedMedia(element) {
     const tagName = element.tagName.toLowerCase();
     
-    // Direct media tags
+    // Direct media tags. An <iframe> is themed from the inside by the
+    // content script running in that frame, so the element itself is kept.
     if (['img', 'video', 'canvas', 'svg', 'picture', 'iframe'].includes(tagName)) {
       return true;
     }
@@ -34,12 +276,6 @@ class DOMAnalyzer {
     // SVG content
     if (element.closest('svg')) return true;
     
-    // background-image
-    const style = window.getComputedStyle(element);
-    if (style.backgroundImage && style.backgroundImage !== 'none') {
-      return true;
-    }
-    
     // Data URIs for images
     const src = element.getAttribute('src') || element.getAttribute('data');
     if (src && (src.includes('data:image') || src.includes('data:video'))) {
@@ -49,6 +285,61 @@ class DOMAnalyzer {
     return false;
   }
 
+  /**
+   * Analyzes if an element has a CSS gradient in its background layers
+   */
+  hasGradientBackground(element) {
+    const style = window.getComputedStyle(element);
+    return this.getBackgroundLayers(style.backgroundImage).some(layer => layer.type === 'gradient');
+  }
+
+  /**
+   * Split a background-image value into layers classified as image or gradient
+   */
+  getBackgroundLayers(backgroundImage) {
+    if (!backgroundImage || backgroundImage === 'none') return [];
+
+    return this.splitTopLevel(backgroundImage, /,/).map((value) => {
+      let type = 'none';
+      if (GRADIENT_PATTERN.test(value)) {
+        type = 'gradient';
+      } else if (value !== 'none') {
+        // url(), image-set(), cross-fade(), element() ...
+        type = 'image';
+      }
+      return { value, type };
+    });
+  }
+
+  /**
+   * Transform gradient color stops in a background-image, keeping image layers as-is
+   */
+  transformBackgroundImage(value, settings = {}) {
+    const layers = this.getBackgroundLayers(value);
+    if (!layers.some(layer => layer.type === 'gradient')) return value;
+
+    return layers.map((layer) => {
+      return layer.type === 'gradient' ? this.transformGradient(layer.value, settings) : layer.value;
+    }).join(', ');
+  }
+
+  /**
+   * Transform every color stop of a single gradient function
+   */
+  transformGradient(gradient, settings = {}) {
+    const open = gradient.indexOf('(');
+    const name = gradient.slice(0, open);
+    const args = this.splitTopLevel(gradient.slice(open + 1, gradient.lastIndexOf(')')), /,/);
+
+    const transformed = args.map((arg) => {
+      return this.splitTopLevel(arg, /\s/).map((token) => {
+        return this.parseColor(token) ? this.invertForDarkTheme(token, settings) : token;
+      }).join(' ');
+    });
+
+    return `${name}(${transformed.join(', ')})`;
+  }
+
   /**
    * Analyzes if element should be treated as text
    */
@@ -91,18 +382,371 @@ class DOMAnalyzer {
    * Parse RGB color string
    */
   parseRGB(color) {
-    const match = color.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-    if (match) {
-      return [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    const parsed = this.parseColor(color);
+    if (!parsed) return null;
+    return [Math.round(parsed.r), Math.round(parsed.g), Math.round(parsed.b)];
+  }
+
+  /**
+   * Parse any CSS Color 4 string into { r, g, b, a }
+   * Channels are sRGB 0-255 (clamped to gamut), alpha is 0-1
+   */
+  parseColor(color) {
+    if (typeof color !== 'string') return null;
+
+    const value = color.trim().toLowerCase();
+    if (!value) return null;
+
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (value.startsWith('#')) return this.parseHex(value);
+    if (NAMED_COLORS[value]) return this.parseHex(NAMED_COLORS[value]);
+
+    const fn = value.match(/^([a-z0-9-]+)\((.*)\)$/);
+    if (!fn) return null;
+
+    const args = this.splitColorArguments(fn[2]);
+    if (!args) return null;
+
+    let rgb;
+    switch (fn[1]) {
+      case 'rgb':
+      case 'rgba':
+        rgb = this.parseRgbChannels(args.channels);
+        break;
+      case 'hsl':
+      case 'hsla':
+        rgb = this.parseHslChannels(args.channels);
+        break;
+      case 'hwb':
+        rgb = this.parseHwbChannels(args.channels);
+        break;
+      case 'lab':
+      case 'lch':
+      case 'oklab':
+      case 'oklch':
+        rgb = this.parseLabChannels(fn[1], args.channels);
+        break;
+      case 'color':
+        rgb = this.parseColorFunction(args.channels);
+        break;
+      default:
+        return null;
     }
-    
-    // Handle rgba
-    const matchA = color.match(/rgba\((\d+),\s*(\d+),\s*(\d+),\s*[\d.]+\)/);
-    if (matchA) {
-      return [parseInt(matchA[1]), parseInt(matchA[2]), parseInt(matchA[3])];
+
+    const a = this.parseAlpha(args.alpha);
+    if (!rgb || rgb.some(Number.isNaN) || Number.isNaN(a)) return null;
+
+    const [r, g, b] = rgb.map(c => Math.max(0, Math.min(255, c)));
+    return { r, g, b, a };
+  }
+
+  /**
+   * Parse #rgb, #rgba, #rrggbb and #rrggbbaa
+   */
+  parseHex(value) {
+    let hex = value.slice(1);
+    if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+      return null;
     }
-    
-    return null;
+
+    if (hex.length <= 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  /**
+   * Split function arguments in either legacy (comma) or modern (space / alpha) syntax
+   */
+  splitColorArguments(body) {
+    let channels;
+    let alpha;
+
+    if (body.includes(',')) {
+      channels = body.split(',').map(part => part.trim());
+      if (channels.length === 4) {
+        alpha = channels.pop();
+      }
+    } else {
+      const [main, rest, extra] = body.split('/');
+      if (extra !== undefined) return null;
+      channels = main.trim().split(/\s+/);
+      alpha = rest !== undefined ? rest.trim() : undefined;
+    }
+
+    if (channels.some(part => part === '')) return null;
+    return { channels, alpha };
+  }
+
+  /**
+   * Parse a number or percentage; percentages are scaled so 100% === percentScale
+   */
+  parseChannel(token, percentScale = 1) {
+    if (token === 'none') return 0;
+    if (token.endsWith('%')) {
+      return (parseFloat(token) / 100) * percentScale;
+    }
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(token) ? parseFloat(token) : NaN;
+  }
+
+  /**
+   * Parse a hue angle into degrees
+   */
+  parseHue(token) {
+    if (token === 'none') return 0;
+
+    const match = token.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(deg|rad|grad|turn)?$/);
+    if (!match) return NaN;
+
+    const value = parseFloat(match[1]);
+    const toDegrees = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+    const degrees = value * toDegrees[match[2] || 'deg'];
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  /**
+   * Parse an optional alpha component, defaulting to fully opaque
+   */
+  parseAlpha(token) {
+    if (token === undefined) return 1;
+    return Math.max(0, Math.min(1, this.parseChannel(token, 1)));
+  }
+
+  /**
+   * rgb()/rgba() channels (0-255 or percentages)
+   */
+  parseRgbChannels(channels) {
+    if (channels.length !== 3) return null;
+    return channels.map(c => this.parseChannel(c, 255));
+  }
+
+  /**
+   * hsl()/hsla() channels
+   */
+  parseHslChannels(channels) {
+    if (channels.length !== 3) return null;
+
+    const h = this.parseHue(channels[0]);
+    const s = this.parseChannel(channels[1], 100) / 100;
+    const l = this.parseChannel(channels[2], 100) / 100;
+    if ([h, s, l].some(Number.isNaN)) return [NaN];
+
+    return this.hslToRgb(h / 360, Math.max(0, Math.min(1, s)), Math.max(0, Math.min(1, l)));
+  }
+
+  /**
+   * hwb() channels
+   */
+  parseHwbChannels(channels) {
+    if (channels.length !== 3) return null;
+
+    const h = this.parseHue(channels[0]);
+    const w = this.parseChannel(channels[1], 100) / 100;
+    const bl = this.parseChannel(channels[2], 100) / 100;
+    if ([h, w, bl].some(Number.isNaN)) return [NaN];
+
+    if (w + bl >= 1) {
+      const gray = (w / (w + bl)) * 255;
+      return [gray, gray, gray];
+    }
+
+    return this.hslToRgb(h / 360, 1, 0.5).map(c => (c / 255) * (1 - w - bl) * 255 + w * 255);
+  }
+
+  /**
+   * lab(), lch(), oklab() and oklch() channels
+   */
+  parseLabChannels(space, channels) {
+    if (channels.length !== 3) return null;
+
+    const isOk = space.startsWith('ok');
+    const isPolar = space.endsWith('ch');
+    const lightness = this.parseChannel(channels[0], isOk ? 1 : 100);
+    const chromaScale = isOk ? 0.4 : (isPolar ? 150 : 125);
+
+    let a;
+    let b;
+    if (isPolar) {
+      const chroma = Math.max(0, this.parseChannel(channels[1], chromaScale));
+      const hue = this.parseHue(channels[2]) * Math.PI / 180;
+      a = chroma * Math.cos(hue);
+      b = chroma * Math.sin(hue);
+    } else {
+      a = this.parseChannel(channels[1], chromaScale);
+      b = this.parseChannel(channels[2], chromaScale);
+    }
+
+    if ([lightness, a, b].some(Number.isNaN)) return [NaN];
+
+    const linear = isOk ? this.oklabToLinearSrgb(lightness, a, b) : this.labToLinearSrgb(lightness, a, b);
+    return this.linearSrgbToRgb(linear);
+  }
+
+  /**
+   * color(<space> c1 c2 c3) for the predefined RGB and XYZ spaces
+   */
+  parseColorFunction(channels) {
+    if (channels.length !== 4) return null;
+
+    const [space, ...rest] = channels;
+    const values = rest.map(c => this.parseChannel(c, 1));
+    if (values.some(Number.isNaN)) return [NaN];
+
+    const m = COLOR_MATRICES;
+    switch (space) {
+      case 'srgb':
+        return values.map(v => v * 255);
+      case 'srgb-linear':
+        return this.linearSrgbToRgb(values);
+      case 'display-p3':
+        return this.xyzD65ToRgb(this.multiplyMatrix(m.linearP3ToXyzD65, values.map(v => this.srgbToLinear(v))));
+      case 'a98-rgb':
+        return this.xyzD65ToRgb(this.multiplyMatrix(
+          m.linearA98ToXyzD65,
+          values.map(v => Math.sign(v) * Math.pow(Math.abs(v), 563 / 256))
+        ));
+      case 'rec2020':
+        return this.xyzD65ToRgb(this.multiplyMatrix(m.linearRec2020ToXyzD65, values.map(v => {
+          const alpha = 1.09929682680944;
+          const beta = 0.018053968510807;
+          const abs = Math.abs(v);
+          return abs < beta * 4.5 ? v / 4.5 : Math.sign(v) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+        })));
+      case 'prophoto-rgb':
+        return this.xyzD65ToRgb(this.multiplyMatrix(m.d50ToD65, this.multiplyMatrix(
+          m.linearProPhotoToXyzD50,
+          values.map(v => (Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.pow(Math.abs(v), 1.8)))
+        )));
+      case 'xyz':
+      case 'xyz-d65':
+        return this.xyzD65ToRgb(values);
+      case 'xyz-d50':
+        return this.xyzD65ToRgb(this.multiplyMatrix(m.d50ToD65, values));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * CIE Lab (D50) to linear sRGB
+   */
+  labToLinearSrgb(l, a, b) {
+    const epsilon = 216 / 24389;
+    const kappa = 24389 / 27;
+
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const xyzD50 = [
+      (Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa) * D50_WHITE[0],
+      (l > kappa * epsilon ? Math.pow(fy, 3) : l / kappa) * D50_WHITE[1],
+      (Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa) * D50_WHITE[2]
+    ];
+
+    const xyzD65 = this.multiplyMatrix(COLOR_MATRICES.d50ToD65, xyzD50);
+    return this.multiplyMatrix(COLOR_MATRICES.xyzD65ToLinearSrgb, xyzD65);
+  }
+
+  /**
+   * OKLab to linear sRGB
+   */
+  oklabToLinearSrgb(l, a, b) {
+    const lms = this.multiplyMatrix(COLOR_MATRICES.oklabToLms, [l, a, b]).map(v => v * v * v);
+    return this.multiplyMatrix(COLOR_MATRICES.lmsToLinearSrgb, lms);
+  }
+
+  /**
+   * Gamma-encoded sRGB 0-255 to OKLab
+   */
+  rgbToOklab(r, g, b) {
+    const linear = [r, g, b].map(c => this.srgbToLinear(c / 255));
+    const lms = this.multiplyMatrix(COLOR_MATRICES.linearSrgbToLms, linear).map(v => Math.cbrt(v));
+    return this.multiplyMatrix(COLOR_MATRICES.lmsToOklab, lms);
+  }
+
+  /**
+   * OKLab to gamma-encoded sRGB 0-255, reducing chroma (never hue)
+   * until the color fits in the sRGB gamut
+   */
+  oklabToRgbInGamut(l, a, b) {
+    const toRgb = scale => this.linearSrgbToRgb(this.oklabToLinearSrgb(l, a * scale, b * scale));
+    const inGamut = rgb => rgb.every(c => c >= -0.5 && c <= 255.5);
+
+    let rgb = toRgb(1);
+    if (inGamut(rgb)) return rgb;
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 12; i++) {
+      const mid = (low + high) / 2;
+      if (inGamut(toRgb(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    rgb = toRgb(low);
+    return rgb.map(c => Math.max(0, Math.min(255, c)));
+  }
+
+  /**
+   * Invert only perceived lightness (OKLab L), keeping hue and chroma
+   */
+  invertLightness(r, g, b) {
+    const [l, a, bb] = this.rgbToOklab(r, g, b);
+    return this.oklabToRgbInGamut(1 - l, a, bb);
+  }
+
+  /**
+   * XYZ (D65) to gamma-encoded sRGB 0-255
+   */
+  xyzD65ToRgb(xyz) {
+    return this.linearSrgbToRgb(this.multiplyMatrix(COLOR_MATRICES.xyzD65ToLinearSrgb, xyz));
+  }
+
+  /**
+   * Linear-light sRGB (0-1) to gamma-encoded sRGB 0-255
+   */
+  linearSrgbToRgb(linear) {
+    return linear.map(v => {
+      const abs = Math.abs(v);
+      const encoded = abs > 0.0031308 ? Math.sign(v) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * v;
+      return encoded * 255;
+    });
+  }
+
+  /**
+   * Gamma-encoded sRGB (0-1) to linear light, also the display-p3 transfer function
+   */
+  srgbToLinear(v) {
+    const abs = Math.abs(v);
+    return abs <= 0.04045 ? v / 12.92 : Math.sign(v) * Math.pow((abs + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Multiply a 3x3 matrix by a 3-component vector
+   */
+  multiplyMatrix(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  /**
+   * Serialize { r, g, b, a } the way getComputedStyle does
+   */
+  formatColor({ r, g, b, a = 1 }) {
+    const [rr, gg, bb] = [r, g, b].map(c => Math.round(Math.max(0, Math.min(255, c))));
+    if (a >= 1) {
+      return `rgb(${rr}, ${gg}, ${bb})`;
+    }
+    return `rgba(${rr}, ${gg}, ${bb}, ${parseFloat(Math.max(0, a).toFixed(3))})`;
   }
 
   /**
@@ -174,13 +818,24 @@ class DOMAnalyzer {
     const contrast = settings.contrast ?? 1;
     const warmth = settings.warmth ?? 0; // Sepia/warmth adjustment
 
-    const rgb = this.parseRGB(color);
-    if (!rgb) return color;
+    const parsed = this.parseColor(color);
+    if (!parsed) return color;
 
-    let [r, g, b] = rgb;
+    const { r, g, b, a } = parsed;
     
     // Step 1: Invert to create dark theme
-    let [invR, invG, invB] = [255 - r, 255 - g, 255 - b];
+    // (light touch mode keeps an already-dark page's own colors; a palette
+    // replaces neutral colors and links, and keeps the hue of the rest)
+    let invR, invG, invB;
+    if (settings.lightTouch) {
+      [invR, invG, invB] = [r, g, b];
+    } else if (settings.paletteColors && (settings.role === 'link' || !this.isChromatic(r, g, b))) {
+      [invR, invG, invB] = this.mapToPalette(r, g, b, settings.role, settings.paletteColors);
+    } else if (settings.algorithm === 'hue-preserving' || settings.paletteColors) {
+      [invR, invG, invB] = this.invertLightness(r, g, b);
+    } else {
+      [invR, invG, invB] = [255 - r, 255 - g, 255 - b];
+    }
 
     // Step 2: Apply brightness (scale towards or away from 128)
     // brightness < 1 = darker, brightness > 1 = lighter
@@ -205,7 +860,362 @@ class DOMAnalyzer {
     invG = Math.max(0, Math.min(255, invG));
     invB = Math.max(0, Math.min(255, invB));
 
-    return `rgb(${Math.round(invR)}, ${Math.round(invG)}, ${Math.round(invB)})`;
+    return this.formatColor({ r: invR, g: invG, b: invB, a });
+  }
+
+  /**
+   * Whether a color has enough chroma to count as a hue (brand colors,
+   * status colors) rather than a shade of gray
+   */
+  isChromatic(r, g, b) {
+    const [, a, bb] = this.rgbToOklab(r, g, b);
+    return Math.hypot(a, bb) > PALETTE_MAX_CHROMA;
+  }
+
+  /**
+   * Palette role of a property's colors. Text colors of links use the
+   * palette's link color.
+   */
+  getPaletteRole(property, isLink = false) {
+    const role = PALETTE_PROPERTY_ROLES[property] || 'any';
+    return role === 'text' && isLink ? 'link' : role;
+  }
+
+  /**
+   * Map a color onto a palette: its OKLab lightness picks a point on the
+   * role's ramp, so a white page background becomes the palette background,
+   * light gray panels its surface, and dark text its text color
+   */
+  mapToPalette(r, g, b, role, paletteColors) {
+    const palette = this.getPaletteRgb(paletteColors);
+    if (role === 'link') return palette.link;
+
+    const ramp = PALETTE_RAMPS[role] || PALETTE_RAMPS.any;
+    const [lightness] = this.rgbToOklab(r, g, b);
+    const position = Math.max(0, Math.min(1, 1 - lightness)) * (ramp.length - 1);
+    const index = Math.min(ramp.length - 2, Math.floor(position));
+    const from = palette[ramp[index]];
+    const to = palette[ramp[index + 1]];
+    const t = position - index;
+
+    return from.map((channel, i) => channel + (to[i] - channel) * t);
+  }
+
+  /**
+   * Parsed [r, g, b] for every role of a palette, cached per palette object
+   */
+  getPaletteRgb(paletteColors) {
+    if (!this.paletteCache.has(paletteColors)) {
+      const parsed = {};
+      Object.entries(paletteColors).forEach(([role, color]) => {
+        const { r, g, b } = this.parseColor(color) || { r: 0, g: 0, b: 0 };
+        parsed[role] = [r, g, b];
+      });
+      this.paletteCache.set(paletteColors, parsed);
+    }
+    return this.paletteCache.get(paletteColors);
+  }
+
+  /**
+   * Transform a color-carrying property value, dispatching on its syntax
+   */
+  transformPropertyValue(property, value, settings = {}) {
+    if (settings.paletteColors) {
+      settings = { ...settings, role: this.getPaletteRole(property, settings.isLink) };
+    }
+    if (property === 'box-shadow' || property === 'text-shadow') {
+      return this.transformShadow(value, settings);
+    }
+    if (property === 'background-image') {
+      return this.transformBackgroundImage(value, settings);
+    }
+    return this.invertForDarkTheme(value, settings);
+  }
+
+  /**
+   * Split a CSS value on a separator, ignoring separators inside parentheses
+   */
+  splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      if (depth === 0 && separator.test(char)) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse a multi-layer box-shadow/text-shadow into layers of tokens,
+   * noting which token (if any) is the layer's color
+   */
+  parseShadow(value) {
+    if (!value || value.trim() === 'none') return [];
+
+    return this.splitTopLevel(value, /,/).map((layer) => {
+      const tokens = this.splitTopLevel(layer, /\s/);
+      const colorIndex = tokens.findIndex(token => this.parseColor(token));
+      return { tokens, colorIndex };
+    });
+  }
+
+  /**
+   * Serialize shadow layers back into a CSS value
+   */
+  formatShadow(layers) {
+    return layers.map(layer => layer.tokens.join(' ')).join(', ');
+  }
+
+  /**
+   * Transform the color of every shadow layer, leaving offsets and blur untouched
+   */
+  transformShadow(value, settings = {}) {
+    const layers = this.parseShadow(value);
+    if (!layers.some(layer => layer.colorIndex !== -1)) return value;
+
+    layers.forEach((layer) => {
+      if (layer.colorIndex !== -1) {
+        layer.tokens[layer.colorIndex] = this.invertForDarkTheme(layer.tokens[layer.colorIndex], settings);
+      }
+    });
+
+    return this.formatShadow(layers);
+  }
+
+  /**
+   * Resolve the color actually painted behind an element by compositing
+   * its background over those of its ancestors, down to the white canvas
+   */
+  getEffectiveBackground(element) {
+    const layers = [];
+    let current = element;
+
+    while (current && current.nodeType === 1) {
+      let color = this.parseColor(window.getComputedStyle(current).backgroundColor);
+
+      // The root takes the body's background when it has none of its own
+      if (current === document.documentElement && (!color || color.a === 0) && document.body) {
+        color = this.parseColor(window.getComputedStyle(document.body).backgroundColor);
+      }
+
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+
+      current = current.parentElement || (current.getRootNode && current.getRootNode().host);
+    }
+
+    let [r, g, b] = [255, 255, 255];
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const { a } = layers[i];
+      r = layers[i].r * a + r * (1 - a);
+      g = layers[i].g * a + g * (1 - a);
+      b = layers[i].b * a + b * (1 - a);
+    }
+
+    return [Math.round(r), Math.round(g), Math.round(b)];
+  }
+
+  /**
+   * Largest visible elements near the top of the body, by on-screen area
+   */
+  findLargestContainers(limit = PAGE_SAMPLE_CONTAINERS) {
+    if (!document.body) return [];
+
+    const candidates = [];
+    let level = Array.from(document.body.children);
+
+    for (let depth = 0; depth < PAGE_SAMPLE_DEPTH && level.length; depth++) {
+      const next = [];
+      level.forEach((element) => {
+        const area = this.getVisibleArea(element);
+        if (area > 0) {
+          candidates.push({ element, area });
+          next.push(...element.children);
+        }
+      });
+      level = next;
+    }
+
+    return candidates
+      .sort((a, b) => b.area - a.area)
+      .slice(0, limit)
+      .map(candidate => candidate.element);
+  }
+
+  /**
+   * Area of an element's box that lies inside the viewport
+   */
+  getVisibleArea(element) {
+    const rect = element.getBoundingClientRect();
+    const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return width > 0 && height > 0 ? width * height : 0;
+  }
+
+  /**
+   * Whether this document is essentially a media embed: video, canvas or
+   * image tiles cover most of the viewport. Frames like that are left alone
+   * just like media elements are in the top page.
+   */
+  isMediaEmbed() {
+    const viewportArea = Math.max(1, window.innerWidth * window.innerHeight);
+    let mediaArea = 0;
+
+    document.querySelectorAll(MEDIA_EMBED_SELECTOR).forEach((element) => {
+      mediaArea += this.getVisibleArea(element);
+    });
+
+    return mediaArea / viewportArea >= MEDIA_EMBED_COVERAGE;
+  }
+
+  /**
+   * Decide whether the page already has a dark design, weighting each
+   * sampled background by how much of the viewport it covers
+   */
+  analyzePageDarkness() {
+    const viewportArea = Math.max(1, window.innerWidth * window.innerHeight);
+    const samples = [document.documentElement, document.body, ...this.findLargestContainers()]
+      .filter(Boolean);
+
+    let weightedLuminance = 0;
+    let totalWeight = 0;
+
+    samples.forEach((element) => {
+      const [r, g, b] = this.getEffectiveBackground(element);
+      // Root and body always count, even when they report a tiny box
+      const weight = Math.max(this.getVisibleArea(element) / viewportArea, 0.1);
+
+      weightedLuminance += this.getLuminance(r, g, b) * weight;
+      totalWeight += weight;
+    });
+
+    const luminance = totalWeight ? weightedLuminance / totalWeight : 1;
+
+    return {
+      isDark: luminance < DARK_PAGE_LUMINANCE,
+      luminance,
+      sampleCount: samples.length
+    };
+  }
+
+  /**
+   * Classify an <img> or inline <svg> for the smart image mode: 'photo',
+   * 'icon' (dark and monochrome) or 'diagram' (mostly white with few colors).
+   * Null when it can't be told yet, e.g. the image hasn't loaded.
+   */
+  classifyImage(element) {
+    if (element.localName === 'svg') return this.classifySvg(element);
+    if (element.localName !== 'img' || !element.complete || !element.naturalWidth) return null;
+
+    const src = element.currentSrc || element.src;
+    if (!this.imageClassCache.has(src)) {
+      this.imageClassCache.set(src, this.sampleImage(element));
+    }
+
+    const sampled = this.imageClassCache.get(src);
+    if (sampled) return sampled;
+
+    // Cross-origin pixels can't be read, so only the size is known
+    const rect = element.getBoundingClientRect();
+    return rect.width * rect.height >= PHOTO_MIN_AREA ? 'photo' : null;
+  }
+
+  /**
+   * Classify an image from a downscaled copy of its pixels. Null when the
+   * image is cross-origin without CORS, which taints the canvas.
+   */
+  sampleImage(image) {
+    if (!this.sampleCanvas) {
+      this.sampleCanvas = document.createElement('canvas');
+      this.sampleCanvas.width = IMAGE_SAMPLE_SIZE;
+      this.sampleCanvas.height = IMAGE_SAMPLE_SIZE;
+    }
+    const context = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+    try {
+      context.clearRect(0, 0, IMAGE_SAMPLE_SIZE, IMAGE_SAMPLE_SIZE);
+      context.drawImage(image, 0, 0, IMAGE_SAMPLE_SIZE, IMAGE_SAMPLE_SIZE);
+      return this.classifyPixels(context.getImageData(0, 0, IMAGE_SAMPLE_SIZE, IMAGE_SAMPLE_SIZE).data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Classify RGBA pixel data by transparency, lightness and color variety
+   */
+  classifyPixels(pixels) {
+    const total = pixels.length / 4;
+    const colors = new Set();
+    let opaque = 0;
+    let light = 0;
+    let luminanceSum = 0;
+    let chromaSum = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      const [r, g, b, a] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+      if (a < 128) continue;
+
+      const luminance = this.getLuminance(r, g, b);
+      opaque++;
+      luminanceSum += luminance;
+      chromaSum += Math.max(r, g, b) - Math.min(r, g, b);
+      if (luminance > 0.8) light++;
+      // 3 bits per channel, so antialiasing doesn't count as new colors
+      colors.add(((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5));
+    }
+
+    if (!opaque) return null;
+
+    const transparency = 1 - opaque / total;
+    if (transparency >= ICON_MIN_TRANSPARENCY) {
+      const isDarkMonochrome = luminanceSum / opaque <= ICON_MAX_LUMINANCE && chromaSum / opaque <= ICON_MAX_CHROMA;
+      return isDarkMonochrome ? 'icon' : 'photo';
+    }
+    if (light / opaque >= DIAGRAM_MIN_LIGHT && colors.size <= DIAGRAM_MAX_COLORS) {
+      return 'diagram';
+    }
+    return 'photo';
+  }
+
+  /**
+   * Classify an inline SVG by the colors its shapes are painted with.
+   * A few colors make an icon (all dark) or a diagram; more make an illustration,
+   * which is handled like a photo.
+   */
+  classifySvg(svg) {
+    const colors = new Set();
+    let allDark = true;
+
+    svg.querySelectorAll(SVG_SHAPE_SELECTOR).forEach((shape) => {
+      const style = window.getComputedStyle(shape);
+      [style.fill, style.stroke].forEach((value) => {
+        const color = this.parseColor(value); // null for none and url() paints
+        if (!color || !color.a) return;
+
+        colors.add(this.formatColor(color));
+        if (this.getLuminance(color.r, color.g, color.b) > ICON_MAX_LUMINANCE) {
+          allDark = false;
+        }
+      });
+    });
+
+    if (!colors.size) return null;
+    if (colors.size > SVG_MAX_COLORS) return 'photo';
+    return allDark ? 'icon' : 'diagram';
   }
 
   /**
@@ -223,6 +1233,47 @@ class DOMAnalyzer {
     return ratio >= requiredRatio;
   }
 
+  /**
+   * Minimum contrast ratio for text at a WCAG level ('AA' or 'AAA')
+   */
+  getRequiredContrast(level, isLargeText = false) {
+    const requirement = CONTRAST_REQUIREMENTS[level] || CONTRAST_REQUIREMENTS.AA;
+    return isLargeText ? requirement.large : requirement.normal;
+  }
+
+  /**
+   * WCAG large text: at least 18pt (24px), or 14pt (18.66px) and bold
+   */
+  isLargeText(style) {
+    const fontSize = parseFloat(style.fontSize) || 0;
+    const fontWeight = parseInt(style.fontWeight, 10) || (style.fontWeight === 'bold' ? 700 : 400);
+    return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+  }
+
+  /**
+   * Nudge text lightness away from the background until the pair reaches
+   * the required contrast ratio, keeping hue, saturation and alpha
+   */
+  ensureContrast(textColor, bgRGB, requiredRatio) {
+    const text = this.parseColor(textColor);
+    if (!text || !bgRGB) return textColor;
+
+    let rgb = [text.r, text.g, text.b];
+    if (this.getContrastRatio(rgb, bgRGB) >= requiredRatio) return textColor;
+
+    // Move towards whichever extreme can contrast more with this background
+    const lighten = this.getContrastRatio([255, 255, 255], bgRGB) >= this.getContrastRatio([0, 0, 0], bgRGB);
+    const [h, s, initialLightness] = this.rgbToHsl(text.r, text.g, text.b);
+    let l = initialLightness;
+
+    while (this.getContrastRatio(rgb, bgRGB) < requiredRatio && l > 0 && l < 1) {
+      l = lighten ? Math.min(1, l + CONTRAST_LIGHTNESS_STEP) : Math.max(0, l - CONTRAST_LIGHTNESS_STEP);
+      rgb = this.hslToRgb(h, s, l);
+    }
+
+    return this.formatColor({ r: rgb[0], g: rgb[1], b: rgb[2], a: text.a });
+  }
+
   /**
    * Main analysis function - determines how to transform an element
    */
@@ -231,15 +1282,35 @@ class DOMAnalyzer {
       return this.elementCache.get(element);
     }
 
+    const elementRule = this.getElementRule(element);
+    if (elementRule) {
+      const analysis = {
+        isMedia: elementRule === 'media',
+        isText: this.isTextElement(element),
+        isContainer: this.isContainerElement(element),
+        hasGradient: this.hasGradientBackground(element),
+        shouldInvert: elementRule === 'always',
+        shouldPreserve: elementRule !== 'always',
+        elementRule
+      };
+      this.elementCache.set(element, analysis);
+      return analysis;
+    }
+
     const analysis = {
       isMedia: this.isMediaElement(element),
       isText: this.isTextElement(element),
       isContainer: this.isContainerElement(element),
+      hasGradient: this.hasGradientBackground(element),
       shouldInvert: false,
       shouldPreserve: false
     };
 
-    if (analysis.isMedia) {
+    // Backgrounds mixing images and gradients are themed;
+    // transformBackgroundImage leaves their image layers untouched
+    const isMixedBackground = analysis.isMedia && analysis.hasGradient && !this.isEmbeddedMedia(element);
+
+    if (analysis.isMedia && !isMixedBackground) {
       analysis.shouldPreserve = true;
     } else if (analysis.isText || !analysis.isContainer) {
       analysis.shouldInvert = true;
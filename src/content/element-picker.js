@@ -0,0 +1,273 @@
+/**
+ * Element Picker
+ * Highlights the element under the cursor, builds a selector for it and asks
+ * how the theme should treat it on this site
+ */
+
+// Attributes that usually identify an element across page loads
+const STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-id', 'name', 'aria-label', 'role'];
+// Class names or ids that look generated by a build tool or framework
+const GENERATED_NAME_PATTERN = /\d{3,}|^css-|^sc-|^jsx-|^_|[a-z][A-Z0-9]{5,}|__[a-zA-Z0-9]{5,}$/;
+const PICKER_ACTIONS = [
+  ['never', 'Never transform'],
+  ['always', 'Always transform'],
+  ['media', 'Treat as media']
+];
+
+class ElementPicker {
+  constructor(options = {}) {
+    this.onPick = options.onPick || (() => {});
+
+    this.host = null;
+    this.highlight = null;
+    this.panel = null;
+    this.target = null;
+    this.frozen = false;
+
+    this.handleMove = this.handleMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKey = this.handleKey.bind(this);
+  }
+
+  /**
+   * Start picking, optionally with an element already selected
+   * (e.g. the one right-clicked to open the context menu)
+   */
+  start(initialElement = null) {
+    if (this.host) this.stop();
+
+    this.host = document.createElement('div');
+    this.host.setAttribute(OVERRIDE_MARKER, 'element-picker');
+    const root = this.host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .highlight {
+          position: fixed; z-index: 2147483646; pointer-events: none;
+          border: 2px solid #00d4ff; background: rgba(0, 212, 255, 0.15);
+          border-radius: 2px; transition: all 0.05s ease;
+        }
+        .panel {
+          position: fixed; z-index: 2147483647; left: 50%; bottom: 16px;
+          transform: translateX(-50%); max-width: 90vw;
+          padding: 10px 12px; border-radius: 10px;
+          background: #1a1a2e; color: #e0e0e0; border: 1px solid rgba(0, 212, 255, 0.4);
+          font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          box-shadow: 0 4px 24px rgba(0, 0, 0, 0.5);
+        }
+        code {
+          display: block; margin-bottom: 8px; color: #00d4ff;
+          overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+        }
+        button {
+          margin-right: 6px; padding: 5px 10px; border-radius: 6px; cursor: pointer;
+          background: rgba(255, 255, 255, 0.08); color: #e0e0e0;
+          border: 1px solid rgba(255, 255, 255, 0.15); font: inherit;
+        }
+        button:hover { border-color: #00d4ff; }
+      </style>
+      <div class="highlight" hidden></div>
+      <div class="panel"><code>Click an element · Esc to cancel</code><div class="actions"></div></div>
+    `;
+    this.highlight = root.querySelector('.highlight');
+    this.panel = root.querySelector('.panel');
+
+    document.documentElement.appendChild(this.host);
+    document.addEventListener('mousemove', this.handleMove, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKey, true);
+
+    if (initialElement) {
+      this.select(initialElement);
+    }
+  }
+
+  /**
+   * Remove the overlay and stop listening
+   */
+  stop() {
+    document.removeEventListener('mousemove', this.handleMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKey, true);
+
+    if (this.host) this.host.remove();
+    this.host = null;
+    this.target = null;
+    this.frozen = false;
+  }
+
+  /**
+   * Follow the cursor, looking into open shadow roots
+   */
+  handleMove(event) {
+    if (this.frozen) return;
+
+    const element = this.getEventTarget(event);
+    if (element && element !== this.target) {
+      this.target = element;
+      this.showHighlight(element);
+      this.panel.querySelector('code').textContent = this.getSelector(element);
+    }
+  }
+
+  /**
+   * A click freezes the selection and offers the actions
+   */
+  handleClick(event) {
+    if (event.composedPath().includes(this.host)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const element = this.getEventTarget(event);
+    if (element) {
+      this.select(element);
+    }
+  }
+
+  /**
+   * Esc cancels; arrow up widens the selection to the parent element
+   */
+  handleKey(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.stop();
+    } else if (event.key === 'ArrowUp' && this.target) {
+      const parent = this.target.parentElement || (this.target.getRootNode().host || null);
+      if (parent && parent !== document.documentElement) {
+        event.preventDefault();
+        this.select(parent);
+      }
+    }
+  }
+
+  /**
+   * Freeze on an element and show the action buttons for it
+   */
+  select(element) {
+    this.frozen = true;
+    this.target = element;
+    this.showHighlight(element);
+
+    const selector = this.getSelector(element);
+    this.panel.querySelector('code').textContent = selector;
+
+    const actions = this.panel.querySelector('.actions');
+    actions.replaceChildren();
+    [...PICKER_ACTIONS, ['cancel', 'Cancel']].forEach(([kind, label]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.stop();
+        if (kind !== 'cancel') {
+          this.onPick(kind, selector);
+        }
+      });
+      actions.appendChild(button);
+    });
+  }
+
+  /**
+   * Position the highlight box over an element
+   */
+  showHighlight(element) {
+    const rect = element.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.highlight.hidden = false;
+  }
+
+  /**
+   * Innermost page element under the event, never our own overlay
+   */
+  getEventTarget(event) {
+    const path = event.composedPath();
+    if (path.includes(this.host)) return null;
+
+    const element = path.find(node => node.nodeType === 1);
+    return element && element !== document.documentElement ? element : null;
+  }
+
+  /**
+   * Shortest selector, within the element's own document or shadow root,
+   * that matches only this element. Prefers ids and stable attributes over
+   * generated class names and positions.
+   */
+  getSelector(element) {
+    const root = element.getRootNode();
+    const steps = [];
+
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const step = this.getStep(node);
+      steps.unshift(step.selector);
+
+      const selector = steps.join(' > ');
+      if (step.unique || this.matchesOnly(root, selector, element)) {
+        return selector;
+      }
+      if (node === document.body) break;
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * Selector for one element on the path: an id or stable attribute when one
+   * is unique, otherwise tag, non-generated classes and :nth-of-type() if needed
+   */
+  getStep(node) {
+    const root = node.getRootNode();
+    const tag = node.localName;
+
+    if (node.id && !GENERATED_NAME_PATTERN.test(node.id)) {
+      const selector = `#${CSS.escape(node.id)}`;
+      if (this.matchesOnly(root, selector, node)) return { selector, unique: true };
+    }
+
+    for (const attribute of STABLE_ATTRIBUTES) {
+      const value = node.getAttribute(attribute);
+      if (!value) continue;
+
+      const selector = `${tag}[${attribute}="${CSS.escape(value)}"]`;
+      if (this.matchesOnly(root, selector, node)) return { selector, unique: true };
+    }
+
+    const classes = Array.from(node.classList)
+      .filter(name => !GENERATED_NAME_PATTERN.test(name))
+      .slice(0, 3)
+      .map(name => `.${CSS.escape(name)}`)
+      .join('');
+    let selector = tag + classes;
+
+    const parent = node.parentElement;
+    if (parent) {
+      const sameKind = Array.from(parent.children).filter(sibling => sibling.matches(selector));
+      if (sameKind.length > 1) {
+        const sameTag = Array.from(parent.children).filter(sibling => sibling.localName === tag);
+        selector += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+
+    return { selector, unique: false };
+  }
+
+  /**
+   * Whether a selector matches exactly one element, and it's the given one
+   */
+  matchesOnly(root, selector, element) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementPicker;
+}
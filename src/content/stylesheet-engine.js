@@ -0,0 +1,536 @@
+/**
+ * Stylesheet Engine
+ * Themes pages by generating override stylesheets from the page's own CSS rules
+ * instead of writing inline styles on every element
+ */
+
+const OVERRIDE_MARKER = 'data-smart-dark-theme';
+const SHEET_POLL_INTERVAL = 1000; // ms, catches rules added through insertRule()
+// Rules styling links take the palette's link color for their text
+const LINK_SELECTOR_PATTERN = /(^|[\s>+~,(])a(?![\w-])|:(any-)?link\b|:visited\b/;
+
+class StylesheetEngine {
+  constructor(analyzer, options = {}) {
+    this.analyzer = analyzer;
+    this.onUnreadableSheet = options.onUnreadableSheet || (() => {});
+
+    this.settings = {};
+    this.active = false;
+    this.scopes = new Map(); // Document or ShadowRoot -> scope state
+    this.fetchedSheets = new Map(); // href -> Promise<CSSStyleSheet|null>
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start theming the document with the given settings
+   */
+  start(settings) {
+    this.settings = settings;
+    this.active = true;
+    this.attach(document);
+
+    this.pollTimer = setInterval(() => this.pollForRuleChanges(), SHEET_POLL_INTERVAL);
+  }
+
+  /**
+   * Remove every override sheet and stop watching for new ones
+   */
+  stop() {
+    this.active = false;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    this.scopes.forEach((state, scope) => this.detach(scope));
+  }
+
+  /**
+   * Whether the engine is currently theming the page
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Regenerate all override sheets for new brightness/contrast/warmth values
+   */
+  update(settings) {
+    this.settings = settings;
+    this.scopes.forEach((state, scope) => this.render(scope));
+  }
+
+  /**
+   * Manage override sheets for a document or shadow root
+   */
+  attach(scope) {
+    if (!this.active || this.scopes.has(scope)) return;
+
+    const state = {
+      styleElement: null,
+      adoptedSheet: null,
+      signature: '',
+      refreshPending: false,
+      observer: null,
+      onLoad: null
+    };
+    this.scopes.set(scope, state);
+
+    state.observer = new MutationObserver((mutations) => {
+      this.placeStyleElement(scope, state);
+      if (mutations.some(mutation => this.affectsStylesheets(mutation, state))) {
+        this.scheduleRefresh(scope);
+      }
+    });
+    state.observer.observe(scope, { childList: true, subtree: true, characterData: true });
+
+    // <link rel="stylesheet"> only exposes its rules once loaded
+    state.onLoad = (event) => {
+      if (event.target.localName === 'link') {
+        this.scheduleRefresh(scope);
+      }
+    };
+    scope.addEventListener('load', state.onLoad, true);
+
+    this.render(scope);
+  }
+
+  /**
+   * Stop managing a scope and remove its override sheets
+   */
+  detach(scope) {
+    const state = this.scopes.get(scope);
+    if (!state) return;
+
+    state.observer.disconnect();
+    scope.removeEventListener('load', state.onLoad, true);
+
+    if (state.styleElement) {
+      state.styleElement.remove();
+    }
+
+    if (state.adoptedSheet) {
+      try {
+        scope.adoptedStyleSheets = scope.adoptedStyleSheets.filter(sheet => sheet !== state.adoptedSheet);
+      } catch (e) {
+        // adoptedStyleSheets may not be writable from the content script world
+      }
+    }
+
+    this.scopes.delete(scope);
+  }
+
+  /**
+   * Check whether a mutation added, removed or edited a stylesheet
+   */
+  affectsStylesheets(mutation, state) {
+    const isOwn = node => node === state.styleElement ||
+      (state.styleElement && node.parentNode === state.styleElement) ||
+      (node.nodeType === 1 && node.hasAttribute(OVERRIDE_MARKER));
+    const isSheetNode = node => node.nodeType === 1 &&
+      (node.localName === 'style' || (node.localName === 'link' && /stylesheet/i.test(node.rel)));
+
+    if (isOwn(mutation.target)) return false;
+
+    if (mutation.type === 'characterData') {
+      return mutation.target.parentNode && mutation.target.parentNode.localName === 'style';
+    }
+
+    if (mutation.target.localName === 'style') return true;
+
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(node => !isOwn(node) && isSheetNode(node));
+  }
+
+  /**
+   * Coalesce bursts of stylesheet changes into one re-render
+   */
+  scheduleRefresh(scope) {
+    const state = this.scopes.get(scope);
+    if (!state || state.refreshPending) return;
+
+    state.refreshPending = true;
+    requestAnimationFrame(() => {
+      state.refreshPending = false;
+      if (this.scopes.has(scope)) {
+        this.render(scope);
+      }
+    });
+  }
+
+  /**
+   * Re-render scopes whose rule counts changed without any DOM mutation
+   */
+  pollForRuleChanges() {
+    this.scopes.forEach((state, scope) => {
+      if (this.getSignature(scope, state) !== state.signature) {
+        this.scheduleRefresh(scope);
+      }
+    });
+  }
+
+  /**
+   * Cheap fingerprint of a scope's sheets: sheet count plus rule counts
+   */
+  getSignature(scope, state) {
+    return this.getPageSheets(scope, state).map((sheet) => {
+      try {
+        return sheet.cssRules.length;
+      } catch (e) {
+        return 'x';
+      }
+    }).join(',') + '|' + this.getAdoptedSheets(scope, state).length;
+  }
+
+  /**
+   * Stylesheets from <style> and <link>, excluding our own override and
+   * other extension-managed sheets such as the site's custom CSS
+   */
+  getPageSheets(scope, state) {
+    const isManaged = node => node === state.styleElement ||
+      (node && node.nodeType === 1 && node.hasAttribute(OVERRIDE_MARKER));
+    return Array.from(scope.styleSheets || []).filter(sheet => !isManaged(sheet.ownerNode));
+  }
+
+  /**
+   * Constructed stylesheets adopted by the page, excluding our own override
+   */
+  getAdoptedSheets(scope, state) {
+    return Array.from(scope.adoptedStyleSheets || []).filter(sheet => sheet !== state.adoptedSheet);
+  }
+
+  /**
+   * Build and install the override sheets for one scope
+   */
+  render(scope) {
+    const state = this.scopes.get(scope);
+    if (!state) return;
+
+    state.signature = this.getSignature(scope, state);
+
+    const baseRules = scope === document ? this.buildBaseRules() : '';
+    const pageCss = this.getPageSheets(scope, state)
+      .map(sheet => this.buildSheetOverrides(scope, sheet))
+      .join('\n');
+    this.installStyleElement(scope, state, baseRules + pageCss);
+
+    const adoptedCss = this.getAdoptedSheets(scope, state)
+      .map(sheet => this.buildSheetOverrides(scope, sheet))
+      .join('\n');
+    if (adoptedCss || state.adoptedSheet) {
+      this.installAdoptedSheet(scope, state, adoptedCss);
+    }
+  }
+
+  /**
+   * Default canvas colors for pages that never set them
+   */
+  buildBaseRules() {
+    const background = this.analyzer.invertForDarkTheme('rgb(255, 255, 255)', this.settings);
+    const text = this.analyzer.invertForDarkTheme('rgb(0, 0, 0)', this.settings);
+    return `html { background-color: ${background}; color: ${text}; }\n`;
+  }
+
+  /**
+   * Override rules for a single sheet, fetching it first if it is cross-origin
+   */
+  buildSheetOverrides(scope, sheet) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      return this.buildFetchedOverrides(scope, sheet);
+    }
+
+    const media = sheet.media && sheet.media.mediaText;
+    const css = this.buildRules(rules, sheet.href);
+    return media && css ? `@media ${media} {\n${css}\n}` : css;
+  }
+
+  /**
+   * Cross-origin sheets are fetched through the service worker and parsed locally
+   */
+  buildFetchedOverrides(scope, sheet) {
+    const href = sheet.href;
+    if (!href) return '';
+
+    if (!this.fetchedSheets.has(href)) {
+      this.fetchedSheets.set(href, this.fetchSheet(href));
+      this.fetchedSheets.get(href).then((parsed) => {
+        if (parsed) {
+          this.scheduleRefresh(scope);
+        } else if (this.active) {
+          this.onUnreadableSheet(href);
+        }
+      });
+      return '';
+    }
+
+    const parsed = this.fetchedSheets.get(href).resolved;
+    if (!parsed) return '';
+
+    const media = sheet.media && sheet.media.mediaText;
+    const css = this.buildRules(parsed.cssRules, href);
+    return media && css ? `@media ${media} {\n${css}\n}` : css;
+  }
+
+  /**
+   * Ask the service worker for a sheet's text and parse it into a CSSStyleSheet
+   */
+  fetchSheet(href) {
+    const pending = new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'fetchStylesheet', url: href }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          resolve(null);
+          return;
+        }
+
+        try {
+          const parsed = new CSSStyleSheet();
+          parsed.replaceSync(response.text);
+          resolve(parsed);
+        } catch (e) {
+          resolve(null);
+        }
+      });
+    });
+
+    pending.then((parsed) => {
+      pending.resolved = parsed;
+    });
+    return pending;
+  }
+
+  /**
+   * Serialize override rules for a CSSRuleList, keeping at-rule structure.
+   * `baseUrl` is the address of the sheet the rules come from, if any.
+   */
+  buildRules(rules, baseUrl = null) {
+    const output = [];
+
+    Array.from(rules).forEach((rule) => {
+      if (rule.type === CSSRule.STYLE_RULE) {
+        const declarations = this.transformDeclarations(rule.style, LINK_SELECTOR_PATTERN.test(rule.selectorText), baseUrl);
+        const nested = rule.cssRules ? this.buildRules(rule.cssRules, baseUrl) : '';
+        if (declarations || nested) {
+          const selector = this.excludeUntouched(rule.selectorText);
+          output.push(`${selector} { ${declarations}${nested ? '\n' + nested + '\n' : ''}}`);
+        }
+      } else if (rule.type === CSSRule.IMPORT_RULE) {
+        if (rule.styleSheet) {
+          const media = rule.media && rule.media.mediaText;
+          let css;
+          try {
+            css = this.buildRules(rule.styleSheet.cssRules, rule.styleSheet.href || baseUrl);
+          } catch (e) {
+            css = '';
+          }
+          if (css) {
+            output.push(media ? `@media ${media} {\n${css}\n}` : css);
+          }
+        }
+      } else if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+        // @media, @supports, @layer, @container and other grouping rules
+        const css = this.buildRules(rule.cssRules, baseUrl);
+        if (css) {
+          const header = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+          output.push(`${header} {\n${css}\n}`);
+        }
+      }
+    });
+
+    return output.join('\n');
+  }
+
+  /**
+   * Leave elements picked as 'never' or 'media', and everything inside them,
+   * out of a rule's selector. Pseudo-elements stay outside :is(), where they
+   * are allowed; :host rules style the host from outside and are kept as is.
+   */
+  excludeUntouched(selectorText) {
+    const untouched = this.analyzer.getUntouchedSelector();
+    if (!untouched) return selectorText;
+
+    const exclusion = `:not(:is(${untouched}), :is(${untouched}) *)`;
+    return this.splitSelectorList(selectorText).map((selector) => {
+      let base = selector.trim();
+      if (/:host\b/.test(base)) return base;
+      if (/^[>+~]/.test(base)) base = '& ' + base; // Nested rule relative to its parent
+
+      const pseudo = this.findPseudoElement(base);
+      const suffix = pseudo === -1 ? '' : base.slice(pseudo);
+      base = pseudo === -1 ? base : base.slice(0, pseudo);
+      if (/[\s>+~]$/.test(base)) base += '*'; // ".a ::before" is ".a *::before"
+
+      return `${base ? `:is(${base})` : ''}${exclusion}${suffix}`;
+    }).join(', ');
+  }
+
+  /**
+   * Split a selector list on the commas that separate its selectors
+   */
+  splitSelectorList(selectorText) {
+    const selectors = [];
+    let start = 0;
+    for (const index of this.topLevelIndexes(selectorText)) {
+      if (selectorText[index] === ',') {
+        selectors.push(selectorText.slice(start, index));
+        start = index + 1;
+      }
+    }
+    selectors.push(selectorText.slice(start));
+    return selectors;
+  }
+
+  /**
+   * Index where a selector's pseudo-element (::before, or legacy :before)
+   * starts, or -1
+   */
+  findPseudoElement(selector) {
+    for (const index of this.topLevelIndexes(selector)) {
+      if (selector[index] === ':' &&
+        (selector[index + 1] === ':' || /^(before|after|first-line|first-letter)\b/i.test(selector.slice(index + 1)))) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Indexes of a selector's characters outside parentheses, attribute
+   * brackets and strings
+   */
+  *topLevelIndexes(selector) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (char === '\\') {
+        i++; // Escaped character
+      } else if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (depth === 0) {
+        yield i;
+      }
+    }
+  }
+
+  /**
+   * Transformed color declarations for one rule, preserving !important.
+   * `isLink` marks rules whose selector targets links; relative url()s are
+   * resolved against `baseUrl`, the source sheet's address.
+   */
+  transformDeclarations(style, isLink = false, baseUrl = null) {
+    const settings = isLink ? { ...this.settings, isLink } : this.settings;
+    const declarations = [];
+    const push = (property) => {
+      const value = style.getPropertyValue(property).trim();
+      if (!value) return;
+
+      const transformed = this.analyzer.transformPropertyValue(property, value, settings);
+      if (transformed === value) return; // var(), currentcolor, inherit, ...
+
+      const important = style.getPropertyPriority(property) ? ' !important' : '';
+      declarations.push(`${property}: ${this.resolveUrls(transformed, baseUrl)}${important};`);
+    };
+
+    THEMED_COLOR_PROPERTIES.forEach(push);
+
+    // Custom properties that hold a plain color are themed at the source
+    for (let i = 0; i < style.length; i++) {
+      if (style[i].startsWith('--') && this.analyzer.parseColor(style.getPropertyValue(style[i]))) {
+        push(style[i]);
+      }
+    }
+
+    return declarations.join(' ');
+  }
+
+  /**
+   * Make relative url()s absolute: the override sheet lives in the document,
+   * so they would otherwise resolve against the page instead of the sheet
+   */
+  resolveUrls(value, baseUrl) {
+    if (!baseUrl || !value.includes('url(')) return value;
+
+    return value.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (match, quote, url) => {
+      // Absolute, data: and fragment-only references need no base
+      if (/^([a-z][a-z0-9+.-]*:|#)/i.test(url)) return match;
+      try {
+        return `url("${new URL(url, baseUrl).href}")`;
+      } catch (e) {
+        return match;
+      }
+    });
+  }
+
+  /**
+   * Write overrides for <style>/<link> sheets into a managed <style> element
+   * kept after every other sheet so it wins ties in the cascade
+   */
+  installStyleElement(scope, state, css) {
+    if (!state.styleElement) {
+      state.styleElement = document.createElement('style');
+      state.styleElement.setAttribute(OVERRIDE_MARKER, 'stylesheet-engine');
+    }
+
+    if (state.styleElement.textContent !== css) {
+      state.styleElement.textContent = css;
+    }
+
+    this.placeStyleElement(scope, state);
+  }
+
+  /**
+   * Keep the override element at the very end of <html> (after <body>, so
+   * sheets inside the body don't come later) or of a shadow root. Only other
+   * managed elements, such as the custom CSS, may follow it.
+   */
+  placeStyleElement(scope, state) {
+    const element = state.styleElement;
+    if (!element) return;
+
+    const parent = scope === document ? document.documentElement : scope;
+    const isManaged = node => node !== element && node.hasAttribute(OVERRIDE_MARKER);
+
+    let next = element.parentNode === parent ? element.nextElementSibling : null;
+    while (next && isManaged(next)) next = next.nextElementSibling;
+    if (element.parentNode === parent && !next) return;
+
+    // Insert before the managed elements that trail the page's own content
+    let reference = null;
+    for (let node = parent.lastElementChild; node && isManaged(node); node = node.previousElementSibling) {
+      reference = node;
+    }
+    parent.insertBefore(element, reference);
+  }
+
+  /**
+   * Write overrides for adopted sheets into our own adopted sheet, placed last
+   */
+  installAdoptedSheet(scope, state, css) {
+    try {
+      if (!state.adoptedSheet) {
+        state.adoptedSheet = new CSSStyleSheet();
+      }
+      state.adoptedSheet.replaceSync(css);
+
+      const others = this.getAdoptedSheets(scope, state);
+      const current = scope.adoptedStyleSheets;
+      if (current[current.length - 1] !== state.adoptedSheet) {
+        scope.adoptedStyleSheets = [...others, state.adoptedSheet];
+      }
+    } catch (e) {
+      console.warn('Could not install adopted override sheet:', e);
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StylesheetEngine;
+}
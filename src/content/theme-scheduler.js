@@ -0,0 +1,357 @@
+/**
+ * Theme Scheduler
+ * Spreads element processing over time so large pages and infinite-scroll
+ * feeds stay responsive: what is on screen is themed right away, the rest in
+ * idle-time chunks, and bursts of added or changed content are coalesced
+ * per frame
+ */
+
+const VIEWPORT_MARGIN = 200; // px around the viewport that counts as visible
+const FRAME_BUDGET = 8; // ms of work per frame for elements scrolling into view
+const IDLE_BUDGET = 10; // ms of work per idle chunk
+const IDLE_TIMEOUT = 500; // ms before an idle chunk runs even on a busy page
+const REFRESH_BATCH = 20; // Stale elements re-read together between budget checks
+const WALK_CHECK_INTERVAL = 32; // Elements collected from a subtree between budget checks
+
+class ThemeScheduler {
+  constructor(options = {}) {
+    this.processElement = options.process || (() => {});
+    this.refreshElements = options.refresh || (() => {});
+    this.collectElements = options.collect || (() => [].values());
+
+    this.queue = new Set(); // Off-screen elements, in document order, then queued refreshes
+    this.queuedRefresh = new Set(); // Queued elements to re-read rather than process
+    this.incoming = new Set(); // Elements added since the last frame
+    this.stale = new Set(); // Themed elements whose page colors may have changed
+    this.walks = new Map(); // Changed subtree root -> iterator over its themed elements
+    this.idleHandle = null;
+    this.frameHandle = null;
+    this.observer = null;
+    this.resetStats();
+
+    this.handleIntersection = this.handleIntersection.bind(this);
+    this.runIdleChunk = this.runIdleChunk.bind(this);
+    this.flushIncoming = this.flushIncoming.bind(this);
+  }
+
+  /**
+   * Process the visible elements among `elements` now and queue the rest.
+   * Every box is measured before anything is written, so layout is
+   * computed only once.
+   */
+  schedule(elements) {
+    const start = performance.now();
+    const { visible, offscreen } = this.splitByViewport(elements);
+
+    visible.forEach(element => this.run(element, 'visibleProcessed'));
+    offscreen.forEach(element => this.enqueue(element));
+
+    this.recordTask(start);
+  }
+
+  /**
+   * Add elements from a mutation. Everything added during one frame is
+   * scheduled together right before it is painted.
+   */
+  add(element) {
+    this.incoming.add(element);
+    this.requestFrame();
+  }
+
+  /**
+   * Mark already themed elements for re-reading their colors, e.g. after
+   * a class change. A frame's are collected and the ones on screen
+   * refreshed together before it is painted.
+   */
+  refresh(elements) {
+    elements.forEach(element => this.stale.add(element));
+    this.requestFrame();
+  }
+
+  /**
+   * Mark every themed element below `root` for re-reading. The subtree is
+   * walked in the frame and idle chunks, not by the caller, so a class
+   * change on <body> doesn't walk the whole document at once.
+   */
+  refreshSubtree(root) {
+    if (this.walks.has(root)) return; // Elements not reached yet will still be
+    this.walks.set(root, this.collectElements(root));
+    this.requestFrame();
+  }
+
+  /**
+   * Flush collected work right before the next paint
+   */
+  requestFrame() {
+    if (this.frameHandle === null) {
+      this.frameHandle = requestAnimationFrame(this.flushIncoming);
+    }
+  }
+
+  /**
+   * Refresh the stale elements and schedule the ones added since the last frame.
+   * Changed subtrees are walked for half the frame budget, then stale elements
+   * on screen are refreshed within the rest; everything else, e.g. most of the
+   * page after a class change on <body>, waits for idle time.
+   */
+  flushIncoming() {
+    this.frameHandle = null;
+    const start = performance.now();
+
+    if (this.walks.size) {
+      this.advanceWalks(start, FRAME_BUDGET / 2, element => this.stale.add(element));
+      if (this.walks.size && this.idleHandle === null) {
+        this.idleHandle = requestIdle(this.runIdleChunk, IDLE_TIMEOUT);
+      }
+    }
+
+    if (this.stale.size) {
+      const stale = Array.from(this.stale).filter(element => element.isConnected);
+      this.stale.clear();
+
+      const { visible, offscreen } = this.splitByViewport(stale);
+      let done = 0;
+      while (done < visible.length && performance.now() - start < FRAME_BUDGET) {
+        const batch = visible.slice(done, done + REFRESH_BATCH);
+        batch.forEach((element) => {
+          this.queue.delete(element);
+          this.queuedRefresh.delete(element);
+        });
+
+        this.refreshElements(batch);
+        this.stats.refreshed += batch.length;
+        done += batch.length;
+      }
+
+      visible.slice(done).concat(offscreen).forEach((element) => {
+        this.queuedRefresh.add(element);
+        this.enqueue(element);
+      });
+      this.recordTask(start);
+    }
+
+    if (this.incoming.size) {
+      const elements = Array.from(this.incoming);
+      this.incoming.clear();
+
+      this.stats.mutationBatches++;
+      this.schedule(elements);
+    }
+  }
+
+  /**
+   * Drop all pending work, e.g. when the theme is removed
+   */
+  clear() {
+    this.queue.clear();
+    this.queuedRefresh.clear();
+    this.incoming.clear();
+    this.stale.clear();
+    this.walks.clear();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.idleHandle !== null) {
+      cancelIdle(this.idleHandle);
+      this.idleHandle = null;
+    }
+    if (this.frameHandle !== null) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+  }
+
+  /**
+   * Counters and timings since the theme was last applied
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.queue.size + this.incoming.size,
+      totalTime: Math.round(this.stats.totalTime),
+      longestTask: Math.round(this.stats.longestTask)
+    };
+  }
+
+  /**
+   * Start counting from zero
+   */
+  resetStats() {
+    this.stats = {
+      visibleProcessed: 0, // Processed as soon as they were seen
+      scrolledProcessed: 0, // Processed when scrolled into view
+      idleProcessed: 0, // Processed in idle time
+      refreshed: 0, // Re-read after class, attribute or hover/focus changes
+      idleChunks: 0,
+      mutationBatches: 0,
+      tasks: 0,
+      totalTime: 0, // ms spent processing, all tasks together
+      longestTask: 0 // ms of the longest single task
+    };
+  }
+
+  /**
+   * Queue an off-screen element for idle time and watch for it to scroll into view
+   */
+  enqueue(element) {
+    if (this.queue.has(element)) return;
+    this.queue.add(element);
+
+    if (!this.observer) {
+      this.observer = new IntersectionObserver(this.handleIntersection, {
+        rootMargin: `${VIEWPORT_MARGIN}px`
+      });
+    }
+    this.observer.observe(element);
+
+    if (this.idleHandle === null) {
+      this.idleHandle = requestIdle(this.runIdleChunk, IDLE_TIMEOUT);
+    }
+  }
+
+  /**
+   * Queued elements coming into view jump ahead of the idle queue
+   */
+  handleIntersection(entries) {
+    const start = performance.now();
+
+    for (const entry of entries) {
+      if (!entry.isIntersecting || !this.queue.has(entry.target)) continue;
+      if (performance.now() - start > FRAME_BUDGET) break; // The idle queue still has it
+
+      this.queue.delete(entry.target);
+      this.run(entry.target, 'scrolledProcessed');
+    }
+
+    this.recordTask(start);
+  }
+
+  /**
+   * Work through the queue until the idle period or budget runs out
+   */
+  runIdleChunk(deadline) {
+    this.idleHandle = null;
+    const start = performance.now();
+    // A chunk forced by the timeout gets the budget regardless
+    const budget = deadline.didTimeout ? IDLE_BUDGET : Math.min(IDLE_BUDGET, deadline.timeRemaining());
+
+    // Elements found in changed subtrees are queued for a refresh
+    this.advanceWalks(start, budget, (element) => {
+      this.queuedRefresh.add(element);
+      this.enqueue(element);
+    });
+
+    for (const element of this.queue) {
+      if (performance.now() - start > budget) break;
+
+      this.queue.delete(element);
+      this.run(element, 'idleProcessed');
+    }
+
+    this.stats.idleChunks++;
+    this.recordTask(start);
+
+    if ((this.queue.size || this.walks.size) && this.idleHandle === null) {
+      this.idleHandle = requestIdle(this.runIdleChunk, IDLE_TIMEOUT);
+    }
+  }
+
+  /**
+   * Pull themed elements out of the changed subtrees until `budget` ms
+   * after `start` have passed
+   */
+  advanceWalks(start, budget, collect) {
+    for (const [root, walk] of this.walks) {
+      let count = 0;
+      let next = walk.next();
+
+      while (!next.done) {
+        collect(next.value);
+        if (++count % WALK_CHECK_INTERVAL === 0 && performance.now() - start > budget) return;
+        next = walk.next();
+      }
+      this.walks.delete(root);
+    }
+  }
+
+  /**
+   * Process or refresh one element that is still in the document, counting
+   * a processed one under `counter`
+   */
+  run(element, counter) {
+    if (this.observer) this.observer.unobserve(element);
+    const refresh = this.queuedRefresh.delete(element);
+    if (!element.isConnected) return;
+
+    if (refresh) {
+      this.refreshElements([element]);
+      this.stats.refreshed++;
+    } else {
+      this.processElement(element);
+      this.stats[counter]++;
+    }
+  }
+
+  /**
+   * Split elements into those near the viewport and the rest. Every box is
+   * measured here, before any of them is written.
+   */
+  splitByViewport(elements) {
+    const offscreen = [];
+    const visible = elements.filter((element) => {
+      const inView = this.isNearViewport(element);
+      if (!inView) offscreen.push(element);
+      return inView;
+    });
+    return { visible, offscreen };
+  }
+
+  /**
+   * Whether an element's box is on screen or close to it
+   */
+  isNearViewport(element) {
+    const rect = element.getBoundingClientRect();
+    if (!rect.width && !rect.height) return false;
+
+    return rect.bottom >= -VIEWPORT_MARGIN && rect.top <= window.innerHeight + VIEWPORT_MARGIN &&
+      rect.right >= -VIEWPORT_MARGIN && rect.left <= window.innerWidth + VIEWPORT_MARGIN;
+  }
+
+  /**
+   * Add one task's duration to the stats
+   */
+  recordTask(start) {
+    const duration = performance.now() - start;
+    this.stats.tasks++;
+    this.stats.totalTime += duration;
+    this.stats.longestTask = Math.max(this.stats.longestTask, duration);
+  }
+}
+
+/**
+ * requestIdleCallback, or a short timeout where it isn't supported
+ */
+function requestIdle(callback, timeout) {
+  if (window.requestIdleCallback) {
+    return window.requestIdleCallback(callback, { timeout });
+  }
+  return setTimeout(() => callback({ didTimeout: true, timeRemaining: () => 0 }), 1);
+}
+
+/**
+ * Cancel a callback from requestIdle()
+ */
+function cancelIdle(handle) {
+  if (window.cancelIdleCallback) {
+    window.cancelIdleCallback(handle);
+  } else {
+    clearTimeout(handle);
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeScheduler;
+}
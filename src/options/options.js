@@ -0,0 +1,618 @@
+/**
+ * Options Page Script
+ * Edits the global defaults and every stored site rule
+ */
+
+const defaultsForm = document.getElementById('defaultsForm');
+const newRuleInput = document.getElementById('newRuleInput');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const searchInput = document.getElementById('searchInput');
+const selectAll = document.getElementById('selectAll');
+const bulkEnableBtn = document.getElementById('bulkEnableBtn');
+const bulkDisableBtn = document.getElementById('bulkDisableBtn');
+const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+const ruleList = document.getElementById('ruleList');
+const emptyState = document.getElementById('emptyState');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importModeSelect = document.getElementById('importModeSelect');
+const importErrors = document.getElementById('importErrors');
+const statusMessage = document.getElementById('statusMessage');
+
+// Element picker rule kinds as shown to the user
+const ELEMENT_RULE_LABELS = { never: 'Never transform', always: 'Always transform', media: 'Treat as media' };
+
+// Editable settings, in display order
+const SETTING_FIELDS = [
+  { key: 'enabled', label: 'Theme', options: [[true, 'On'], [false, 'Off']] },
+  { key: 'brightness', label: 'Brightness', range: [0.5, 1.5, 0.1] },
+  { key: 'contrast', label: 'Contrast', range: [0.5, 2, 0.1] },
+  { key: 'warmth', label: 'Warmth', range: [0, 1, 0.1] },
+  { key: 'algorithm', label: 'Color Algorithm', options: [['classic', 'Classic invert'], ['hue-preserving', 'Hue-preserving']] },
+  {
+    key: 'palette',
+    label: 'Palette',
+    options: [
+      ['invert', 'None (invert)'],
+      ...Object.entries(BUILT_IN_PALETTES).map(([id, palette]) => [id, palette.name]),
+      ['custom', 'Custom']
+    ]
+  },
+  { key: 'customPalette', label: 'Custom Palette', palette: true },
+  { key: 'imageMode', label: 'Images', options: [['smart', 'Smart'], ['dim', 'Dim all'], ['preserve', 'Leave untouched']] },
+  { key: 'imageDimming', label: 'Photo Dimming', range: [0, 0.5, 0.05] },
+  { key: 'contrastLevel', label: 'Text Contrast Target', options: [['AA', 'WCAG AA'], ['AAA', 'WCAG AAA']] },
+  { key: 'engine', label: 'Rendering Engine', options: [['inline', 'Per-element'], ['stylesheet', 'Stylesheet']] },
+  { key: 'darkPageMode', label: 'On Already-Dark Pages', options: [['skip', 'Skip theming'], ['soften', 'Light touch'], ['ignore', 'Theme anyway']] },
+  { key: 'customCss', label: 'Custom CSS', multiline: true }
+];
+
+let sites = {}; // Rule pattern -> { settings, effective }
+let globalSettings = { ...DEFAULT_SETTINGS };
+const selectedRules = new Set();
+const expandedRules = new Set();
+
+/**
+ * Initialize options page on load
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  setupEventListeners();
+  await loadAll();
+});
+
+/**
+ * Wire up toolbar controls
+ */
+function setupEventListeners() {
+  addRuleBtn.addEventListener('click', handleAddRule);
+  newRuleInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') handleAddRule();
+  });
+  searchInput.addEventListener('input', renderRules);
+  selectAll.addEventListener('change', handleSelectAll);
+  bulkEnableBtn.addEventListener('click', () => handleBulkEnabled(true));
+  bulkDisableBtn.addEventListener('click', () => handleBulkEnabled(false));
+  bulkDeleteBtn.addEventListener('click', handleBulkDelete);
+  exportBtn.addEventListener('click', handleExport);
+  importBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', handleImport);
+}
+
+/**
+ * Load the defaults and every site rule from the service worker
+ */
+async function loadAll() {
+  const response = await sendMessage({ action: 'getAllSites' });
+  if (!response) return;
+
+  sites = response.sites || {};
+  globalSettings = { ...DEFAULT_SETTINGS, ...response.globalSettings };
+
+  // Forget selections for rules that no longer exist
+  selectedRules.forEach((pattern) => {
+    if (!sites[pattern]) selectedRules.delete(pattern);
+  });
+
+  renderDefaults();
+  renderRules();
+}
+
+/**
+ * Render the global defaults form
+ */
+function renderDefaults() {
+  defaultsForm.replaceChildren(...SETTING_FIELDS.map(field =>
+    createField(field, globalSettings[field.key], null, value => handleDefaultChange(field.key, value))
+  ));
+}
+
+/**
+ * Render the rule list, filtered by the search box
+ */
+function renderRules() {
+  const query = searchInput.value.trim().toLowerCase();
+  const patterns = getVisiblePatterns(query);
+
+  ruleList.replaceChildren(...patterns.map(createRuleRow));
+  emptyState.style.display = patterns.length ? 'none' : 'block';
+  emptyState.textContent = query ? 'No site rules match your search.' : 'No site rules yet.';
+
+  updateBulkControls();
+}
+
+/**
+ * Rule patterns matching the search, grouped by domain
+ */
+function getVisiblePatterns(query = searchInput.value.trim().toLowerCase()) {
+  return Object.keys(sites)
+    .filter(pattern => pattern.toLowerCase().includes(query))
+    .sort((a, b) => {
+      const domainA = getRegistrableDomain(parseRulePattern(a).host);
+      const domainB = getRegistrableDomain(parseRulePattern(b).host);
+      return domainA.localeCompare(domainB) || a.localeCompare(b);
+    });
+}
+
+/**
+ * One rule: selection checkbox, pattern, summary and an expandable editor
+ */
+function createRuleRow(pattern) {
+  const site = sites[pattern];
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-header';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedRules.has(pattern);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedRules.add(pattern);
+    } else {
+      selectedRules.delete(pattern);
+    }
+    updateBulkControls();
+  });
+
+  const name = document.createElement('code');
+  name.className = 'rule-pattern';
+  name.textContent = pattern;
+
+  const status = document.createElement('span');
+  status.className = `rule-status ${site.effective.enabled ? 'active' : 'inactive'}`;
+  status.textContent = site.effective.enabled ? 'On' : 'Off';
+
+  const summary = document.createElement('span');
+  summary.className = 'rule-summary';
+  summary.textContent = describeOverrides(site.settings);
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'link-btn';
+  editBtn.textContent = expandedRules.has(pattern) ? 'Done' : 'Edit';
+  editBtn.addEventListener('click', () => {
+    if (expandedRules.has(pattern)) {
+      expandedRules.delete(pattern);
+    } else {
+      expandedRules.add(pattern);
+    }
+    renderRules();
+  });
+
+  header.append(checkbox, name, status, summary, editBtn);
+  row.appendChild(header);
+
+  if (expandedRules.has(pattern)) {
+    const editor = document.createElement('div');
+    editor.className = 'field-grid rule-editor';
+    editor.append(...SETTING_FIELDS.map(field =>
+      createField(field, site.settings[field.key], globalSettings[field.key],
+        value => handleRuleChange(pattern, field.key, value))
+    ));
+    row.appendChild(editor);
+
+    if (site.settings.elementRules) {
+      row.appendChild(createElementRuleList(pattern, site.settings.elementRules));
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Selectors saved with the element picker, each removable
+ */
+function createElementRuleList(pattern, elementRules) {
+  const list = document.createElement('ul');
+  list.className = 'element-rules';
+
+  Object.keys(ELEMENT_RULE_LABELS).forEach((kind) => {
+    (elementRules[kind] || []).forEach((selector) => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = `${ELEMENT_RULE_LABELS[kind]}: `;
+
+      const code = document.createElement('code');
+      code.textContent = selector;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'link-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => handleRemoveElementRule(pattern, kind, selector));
+
+      item.append(label, code, removeBtn);
+      list.appendChild(item);
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Short text listing the values a rule sets itself
+ */
+function describeOverrides(settings) {
+  const parts = SETTING_FIELDS
+    .filter(field => settings[field.key] !== undefined && field.key !== 'enabled')
+    .map(field => `${field.label}: ${formatValue(field, settings[field.key])}`);
+
+  const elementRuleCount = Object.values(settings.elementRules || {})
+    .reduce((count, selectors) => count + selectors.length, 0);
+  if (elementRuleCount) {
+    parts.push(`${elementRuleCount} element rule(s)`);
+  }
+
+  return parts.length ? parts.join(' · ') : 'Inherits defaults';
+}
+
+/**
+ * Display text for a setting value
+ */
+function formatValue(field, value) {
+  if (field.range) {
+    return Math.round(value * 100) + '%';
+  }
+
+  if (field.palette) {
+    return 'custom colors';
+  }
+
+  if (field.multiline) {
+    const lines = value ? value.split('\n').length : 0;
+    return `${lines} line(s)`;
+  }
+
+  const option = field.options.find(([optionValue]) => optionValue === value);
+  return option ? option[1] : String(value);
+}
+
+/**
+ * Labeled control for one setting. With an `inherited` value, the control
+ * also offers to inherit, reported to `onChange` as null.
+ */
+function createField(field, value, inherited, onChange) {
+  const inheritable = inherited !== null;
+  const wrapper = document.createElement('label');
+  wrapper.className = 'field';
+
+  const caption = document.createElement('span');
+  caption.textContent = field.label;
+  wrapper.appendChild(caption);
+
+  if (field.palette) {
+    return createPaletteField(field, value, inherited, onChange);
+  }
+
+  let input;
+  if (field.options) {
+    input = document.createElement('select');
+    input.className = 'select-input';
+
+    if (inheritable) {
+      input.appendChild(new Option(`Inherit (${formatValue(field, inherited)})`, ''));
+    }
+    field.options.forEach(([optionValue, text]) => {
+      input.appendChild(new Option(text, JSON.stringify(optionValue)));
+    });
+
+    input.value = value === undefined ? '' : JSON.stringify(value);
+    input.addEventListener('change', () => {
+      onChange(input.value === '' ? null : JSON.parse(input.value));
+    });
+  } else if (field.multiline) {
+    input = document.createElement('textarea');
+    input.className = 'text-input code-input';
+    input.rows = 5;
+    input.spellcheck = false;
+    wrapper.classList.add('wide');
+
+    if (inheritable) {
+      input.placeholder = 'Added after the CSS of broader rules and the defaults';
+    }
+
+    input.value = value || '';
+    input.addEventListener('change', () => {
+      onChange(input.value.trim() === '' && inheritable ? null : input.value);
+    });
+  } else {
+    const [min, max, step] = field.range;
+    input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'text-input';
+    Object.assign(input, { min, max, step });
+
+    if (inheritable) {
+      input.placeholder = `Inherit (${formatValue(field, inherited)})`;
+    }
+
+    input.value = value === undefined ? '' : value;
+    input.addEventListener('change', () => {
+      if (input.value === '') {
+        onChange(inheritable ? null : DEFAULT_SETTINGS[field.key]);
+        return;
+      }
+      const number = Math.min(max, Math.max(min, parseFloat(input.value)));
+      onChange(Number.isNaN(number) ? null : number);
+    });
+  }
+
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Color pickers for every palette role. A rule that doesn't set its own
+ * palette shows the inherited colors; editing one saves the whole palette.
+ */
+function createPaletteField(field, value, inherited, onChange) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'field wide';
+
+  const caption = document.createElement('span');
+  caption.textContent = value === undefined && inherited ? `${field.label} (inherited)` : field.label;
+  wrapper.appendChild(caption);
+
+  const colors = value || inherited || DEFAULT_SETTINGS.customPalette;
+  const grid = document.createElement('div');
+  grid.className = 'palette-colors';
+
+  PALETTE_ROLES.forEach((role) => {
+    const label = document.createElement('label');
+    label.textContent = role.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = colors[role];
+    input.addEventListener('change', () => onChange({ ...colors, [role]: input.value }));
+
+    label.appendChild(input);
+    grid.appendChild(label);
+  });
+  wrapper.appendChild(grid);
+
+  if (value !== undefined && inherited) {
+    const inheritBtn = document.createElement('button');
+    inheritBtn.className = 'link-btn';
+    inheritBtn.textContent = 'Inherit';
+    inheritBtn.addEventListener('click', () => onChange(null));
+    wrapper.appendChild(inheritBtn);
+  }
+
+  return wrapper;
+}
+
+/**
+ * Handle a change to one global default
+ */
+async function handleDefaultChange(key, value) {
+  if (value === null) return;
+
+  await sendMessage({ action: 'saveGlobalSettings', settings: { [key]: value } });
+  await loadAll();
+  showStatus('Defaults saved', 'success');
+}
+
+/**
+ * Handle a change to one setting of a site rule; null clears it
+ */
+async function handleRuleChange(pattern, key, value) {
+  await saveRules({ [pattern]: { [key]: value } });
+
+  if (value === null && !sites[pattern]) {
+    showStatus(`${pattern} removed: it no longer sets anything`, 'success');
+  }
+}
+
+/**
+ * Handle removing one picked element selector from a rule
+ */
+async function handleRemoveElementRule(pattern, kind, selector) {
+  const elementRules = { ...sites[pattern].settings.elementRules };
+  elementRules[kind] = elementRules[kind].filter(existing => existing !== selector);
+
+  const isEmpty = Object.values(elementRules).every(selectors => selectors.length === 0);
+  await saveRules({ [pattern]: { elementRules: isEmpty ? null : elementRules } });
+}
+
+/**
+ * Handle adding a new site rule
+ */
+async function handleAddRule() {
+  const pattern = normalizePattern(newRuleInput.value);
+
+  if (!parseRulePattern(pattern)) {
+    showStatus('Enter a host, *.domain or host/path pattern', 'error');
+    return;
+  }
+
+  expandedRules.add(pattern);
+  newRuleInput.value = '';
+
+  if (sites[pattern]) {
+    renderRules();
+    return;
+  }
+
+  await saveRules({ [pattern]: { enabled: true } });
+  showStatus(`Added ${pattern}`, 'success');
+}
+
+/**
+ * Accept pasted URLs as well as bare patterns
+ */
+function normalizePattern(input) {
+  const pattern = input.trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+  const slash = pattern.indexOf('/');
+
+  return slash === -1
+    ? pattern.toLowerCase()
+    : pattern.slice(0, slash).toLowerCase() + pattern.slice(slash);
+}
+
+/**
+ * Select or deselect every visible rule
+ */
+function handleSelectAll() {
+  getVisiblePatterns().forEach((pattern) => {
+    if (selectAll.checked) {
+      selectedRules.add(pattern);
+    } else {
+      selectedRules.delete(pattern);
+    }
+  });
+  renderRules();
+}
+
+/**
+ * Turn the theme on or off for every selected rule
+ */
+async function handleBulkEnabled(enabled) {
+  const rules = {};
+  selectedRules.forEach((pattern) => {
+    rules[pattern] = { enabled };
+  });
+
+  await saveRules(rules);
+  showStatus(`Theme ${enabled ? 'enabled' : 'disabled'} for ${selectedRules.size} rule(s)`, 'success');
+}
+
+/**
+ * Delete every selected rule after confirmation
+ */
+async function handleBulkDelete() {
+  const patterns = [...selectedRules];
+  if (!patterns.length || !confirm(`Delete ${patterns.length} site rule(s)?`)) return;
+
+  await sendMessage({ action: 'deleteSiteRules', patterns });
+  patterns.forEach((pattern) => {
+    selectedRules.delete(pattern);
+    expandedRules.delete(pattern);
+  });
+
+  await loadAll();
+  showStatus(`Deleted ${patterns.length} rule(s)`, 'success');
+}
+
+/**
+ * Download every setting as a versioned JSON file
+ */
+async function handleExport() {
+  const response = await sendMessage({ action: 'exportSettings' });
+  if (!response) return;
+
+  const json = JSON.stringify(response.data, null, 2);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = `smart-dark-theme-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+  showStatus('Settings exported', 'success');
+}
+
+/**
+ * Read the chosen file and import it; nothing is written if any entry is invalid
+ */
+async function handleImport() {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showImportErrors([`${file.name} is not valid JSON: ${error.message}`]);
+    return;
+  }
+
+  const mode = importModeSelect.value;
+  if (mode === 'replace' && !confirm('Replace all current settings with this file?')) return;
+
+  const response = await sendMessage({ action: 'importSettings', data, mode });
+  if (!response) return;
+
+  if (!response.success) {
+    showImportErrors(response.errors);
+    return;
+  }
+
+  showImportErrors([]);
+  await loadAll();
+  showStatus(`Imported ${response.count} site rule(s)`, 'success');
+}
+
+/**
+ * List import problems under the import controls
+ */
+function showImportErrors(errors) {
+  importErrors.replaceChildren(...errors.map((error) => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    return item;
+  }));
+  importErrors.style.display = errors.length ? 'block' : 'none';
+
+  if (errors.length) {
+    showStatus('Import failed: nothing was changed', 'error');
+  }
+}
+
+/**
+ * Enable bulk actions only while something is selected
+ */
+function updateBulkControls() {
+  const visible = getVisiblePatterns();
+  const count = selectedRules.size;
+
+  [bulkEnableBtn, bulkDisableBtn, bulkDeleteBtn].forEach((button) => {
+    button.disabled = count === 0;
+  });
+  selectAll.checked = visible.length > 0 && visible.every(pattern => selectedRules.has(pattern));
+  bulkDeleteBtn.textContent = count ? `Delete (${count})` : 'Delete';
+}
+
+/**
+ * Save rule edits through the service worker, which updates open tabs
+ */
+async function saveRules(rules) {
+  const response = await sendMessage({ action: 'saveSiteRules', rules });
+  if (response && response.error) {
+    showStatus(response.error, 'error');
+  }
+  await loadAll();
+}
+
+/**
+ * Send a message to the service worker, resolving to its response
+ */
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`${message.action} error:`, chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type = 'success') {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message show ${type}`;
+
+  setTimeout(() => {
+    statusMessage.classList.remove('show');
+  }, 2000);
+}
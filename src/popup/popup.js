@@ -10,28 +10,67 @@ const actionGroup = document.getElementById('actionGroup');
 const brightnessSlider = document.getElementById('brightnessSlider');
 const contrastSlider = document.getElementById('contrastSlider');
 const warmthSlider = document.getElementById('warmthSlider');
+const engineSelect = document.getElementById('engineSelect');
+const darkPageSelect = document.getElementById('darkPageSelect');
+const contrastLevelSelect = document.getElementById('contrastLevelSelect');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const imageModeSelect = document.getElementById('imageModeSelect');
+const paletteSelect = document.getElementById('paletteSelect');
+const customPaletteFields = document.getElementById('customPaletteFields');
+const paletteColorInputs = customPaletteFields.querySelectorAll('input[data-role]');
+const imageDimmingSlider = document.getElementById('imageDimmingSlider');
 const brightnessValue = document.getElementById('brightnessValue');
 const contrastValue = document.getElementById('contrastValue');
 const warmthValue = document.getElementById('warmthValue');
+const imageDimmingValue = document.getElementById('imageDimmingValue');
 const siteInfo = document.getElementById('siteInfo');
 const resetBtn = document.getElementById('resetBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const pickElementBtn = document.getElementById('pickElementBtn');
+const customCssInput = document.getElementById('customCssInput');
 const statusMessage = document.getElementById('statusMessage');
+const scheduleModeSelect = document.getElementById('scheduleModeSelect');
+const scheduleFixedFields = document.getElementById('scheduleFixedFields');
+const scheduleSunFields = document.getElementById('scheduleSunFields');
+const scheduleStartInput = document.getElementById('scheduleStartInput');
+const scheduleEndInput = document.getElementById('scheduleEndInput');
+const latitudeInput = document.getElementById('latitudeInput');
+const longitudeInput = document.getElementById('longitudeInput');
+const scheduleInfo = document.getElementById('scheduleInfo');
+const clearOverrideBtn = document.getElementById('clearOverrideBtn');
+const scopeSelect = document.getElementById('scopeSelect');
+const overrideBadges = document.querySelectorAll('.override-badge');
 
-let currentDomain = '';
-let currentSettings = {
-  enabled: false,
-  brightness: 1,
-  contrast: 1,
-  warmth: 0
-};
+const CUSTOM_CSS_DELAY = 400; // ms of typing pause before custom CSS is saved
+const SLIDER_DELAY = 150; // ms a slider has to rest before its value is saved
+
+let currentUrl = '';
+let scopePatterns = {}; // Rule pattern for each scope: page, host, domain
+let currentSettings = { ...DEFAULT_SETTINGS }; // Effective settings for this page
+let ruleSettings = {}; // Matching rule pattern -> the values it sets itself
+let globalSettings = { ...DEFAULT_SETTINGS };
+let editScope = 'host'; // 'page', 'host', 'domain' or 'global' (defaults for every site)
+let settingsSource = 'site'; // 'site', 'schedule' or 'override'
+let overrideUntil = null;
+let followsSystem = false;
+let pageStatus = null; // Latest getStatus response from the content script
+let settingTimers = new Map(); // Setting key -> timer of its pending debounced save
+let pendingSave = Promise.resolve(); // Saves run one at a time, in order
 
 /**
  * Initialize popup on load
  */
 document.addEventListener('DOMContentLoaded', async () => {
   try {
-    currentDomain = await getCurrentDomain();
+    addBuiltInPalettes();
+    currentUrl = await getCurrentUrl();
+    scopePatterns = getScopePatterns(currentUrl);
+    // Hosts without a domain (localhost, IPs) offer no wider scope
+    scopeSelect.querySelector('option[value="domain"]').hidden = scopePatterns.domain === scopePatterns.host;
     await loadSettings();
+    selectInitialScope();
+    await loadPageStatus();
+    await loadSchedule();
     setupEventListeners();
   } catch (error) {
     console.warn('Error initializing popup:', error);
@@ -40,17 +79,30 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Get current domain from active tab
+ * Get current URL from active tab
  */
-async function getCurrentDomain() {
+async function getCurrentUrl() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  const url = tabs[0].url;
-  
-  try {
-    return new URL(url).hostname;
-  } catch {
-    return new URL(url).host;
-  }
+  return tabs[0].url;
+}
+
+/**
+ * Start out editing the most specific rule that already applies to this page
+ */
+function selectInitialScope() {
+  const patterns = Object.keys(ruleSettings);
+  const scope = ['page', 'host', 'domain'].find(name => patterns.includes(scopePatterns[name]));
+
+  editScope = scope || 'host';
+  scopeSelect.value = editScope;
+  updateUI();
+}
+
+/**
+ * Rule pattern that changes in the current scope are saved to
+ */
+function getEditedRule() {
+  return scopePatterns[editScope];
 }
 
 /**
@@ -59,19 +111,27 @@ async function getCurrentDomain() {
 async function loadSettings() {
   return new Promise((resolve) => {
     chrome.runtime.sendMessage(
-      { action: 'getSiteSettings', domain: currentDomain },
+      {
+        action: 'getSiteSettings',
+        url: currentUrl,
+        prefersDark: window.matchMedia('(prefers-color-scheme: dark)').matches
+      },
       (response) => {
         if (response && response.settings) {
-          currentSettings = response.settings;
+          currentSettings = { ...DEFAULT_SETTINGS, ...response.settings };
+          ruleSettings = {};
+          (response.rules || []).forEach((rule) => {
+            ruleSettings[rule.pattern] = rule.settings;
+          });
+          globalSettings = { ...DEFAULT_SETTINGS, ...response.globalSettings };
         } else {
           // Use default values for new site
-          currentSettings = {
-            enabled: false,
-            brightness: 1,
-            contrast: 1,
-            warmth: 0
-          };
+          currentSettings = { ...DEFAULT_SETTINGS };
+          ruleSettings = {};
         }
+        settingsSource = (response && response.source) || 'site';
+        overrideUntil = (response && response.overrideUntil) || null;
+        followsSystem = Boolean(response && response.followsSystem);
 
         updateUI();
         resolve();
@@ -80,43 +140,207 @@ async function loadSettings() {
   });
 }
 
+/**
+ * Ask the content script for its page analysis (e.g. already-dark detection)
+ */
+async function loadPageStatus() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabs[0].id, { action: 'getStatus' }, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        // Content script not available on this page
+        pageStatus = null;
+      } else {
+        pageStatus = response || null;
+      }
+
+      updateSiteInfo();
+      resolve();
+    });
+  });
+}
+
 /**
  * Update UI to reflect current settings
  */
 function updateUI() {
-  masterToggle.checked = currentSettings.enabled;
-  brightnessSlider.value = currentSettings.brightness;
-  contrastSlider.value = currentSettings.contrast;
-  warmthSlider.value = currentSettings.warmth;
+  const settings = getEditedSettings();
+
+  masterToggle.checked = settings.enabled;
+  setControlValue(brightnessSlider, settings.brightness);
+  setControlValue(contrastSlider, settings.contrast);
+  setControlValue(warmthSlider, settings.warmth);
+  engineSelect.value = settings.engine;
+  darkPageSelect.value = settings.darkPageMode;
+  contrastLevelSelect.value = settings.contrastLevel;
+  algorithmSelect.value = settings.algorithm;
+  imageModeSelect.value = settings.imageMode;
+  paletteSelect.value = settings.palette;
+  customPaletteFields.style.display = settings.palette === 'custom' ? '' : 'none';
+  paletteColorInputs.forEach((input) => {
+    input.value = settings.customPalette[input.dataset.role];
+  });
+  setControlValue(imageDimmingSlider, settings.imageDimming);
+  setControlValue(customCssInput, getEditedCustomCss());
 
   updateSliderValues();
   updateSiteInfo();
+  updateOverrideBadges();
   toggleControlsVisibility();
 }
 
+/**
+ * Set a control's value unless the user is dragging or typing in it, so a
+ * reload of the settings never moves a slider or the caret under them
+ */
+function setControlValue(control, value) {
+  if (document.activeElement !== control) {
+    control.value = value;
+  }
+}
+
+/**
+ * Settings the controls currently edit: this site's or the global defaults
+ */
+function getEditedSettings() {
+  return editScope === 'global' ? globalSettings : currentSettings;
+}
+
+/**
+ * Custom CSS of the scope being edited. Pages combine the CSS of every
+ * matching rule, so this shows only the selected rule's own part.
+ */
+function getEditedCustomCss() {
+  if (editScope === 'global') {
+    return globalSettings.customCss || '';
+  }
+  return (ruleSettings[getEditedRule()] || {}).customCss || '';
+}
+
 /**
  * Update displayed slider values
  */
 function updateSliderValues() {
-  brightnessValue.textContent = Math.round(currentSettings.brightness * 100) + '%';
-  contrastValue.textContent = Math.round(currentSettings.contrast * 100) + '%';
-  warmthValue.textContent = Math.round(currentSettings.warmth * 100) + '%';
+  const settings = getEditedSettings();
+  brightnessValue.textContent = Math.round(settings.brightness * 100) + '%';
+  contrastValue.textContent = Math.round(settings.contrast * 100) + '%';
+  warmthValue.textContent = Math.round(settings.warmth * 100) + '%';
+  imageDimmingValue.textContent = Math.round(settings.imageDimming * 100) + '%';
+}
+
+/**
+ * Mark each control as inherited or set by the rule being edited
+ */
+function updateOverrideBadges() {
+  const overrides = ruleSettings[getEditedRule()] || {};
+
+  overrideBadges.forEach((badge) => {
+    const key = badge.dataset.key;
+    const overridden = key in overrides;
+
+    badge.style.display = editScope === 'global' ? 'none' : 'inline-block';
+    badge.classList.toggle('overridden', overridden);
+    badge.disabled = !overridden;
+    badge.textContent = overridden ? `${editScope} ✕` : 'inherited';
+    badge.title = overridden
+      ? `Clear this setting from ${getEditedRule()}`
+      : 'Inherited from a broader rule or the global defaults';
+  });
 }
 
 /**
  * Update site information text
  */
 function updateSiteInfo() {
+  if (editScope === 'global') {
+    siteInfo.innerHTML = 'Editing <strong>defaults</strong> for all sites';
+    clearOverrideBtn.style.display = 'none';
+    return;
+  }
+
   const statusText = currentSettings.enabled ? '✓ Active' : '✗ Inactive';
-  const statusClass = currentSettings.enabled ? 'active' : 'inactive';
-  siteInfo.innerHTML = `Theme is <strong>${statusText}</strong> for <code>${currentDomain}</code>`;
+  siteInfo.innerHTML = `Theme is <strong>${statusText}</strong> on this page` +
+    getSourceInfo() +
+    getDarknessInfo() +
+    getProcessingInfo() +
+    `<br>Changes apply to <code>${getEditedRule()}</code>`;
+}
+
+/**
+ * Describe whether the on/off state comes from the schedule or a manual override
+ */
+function getSourceInfo() {
+  clearOverrideBtn.style.display = settingsSource === 'override' ? 'inline' : 'none';
+  clearOverrideBtn.textContent = followsSystem ? 'Follow system' : 'Resume schedule';
+
+  if (settingsSource === 'schedule') {
+    return '<br>⏰ Set by schedule';
+  }
+
+  if (settingsSource === 'system') {
+    return '<br>🖥 Following system color scheme';
+  }
+
+  if (settingsSource === 'override') {
+    if (overrideUntil === null) {
+      return `<br>📌 Always ${currentSettings.enabled ? 'on' : 'off'} for this site`;
+    }
+    const until = new Date(overrideUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `<br>✋ Manual override until ${until}`;
+  }
+
+  return '';
+}
+
+/**
+ * Describe the content script's already-dark page detection
+ */
+function getDarknessInfo() {
+  if (!pageStatus || !pageStatus.pageDarkness) {
+    return '';
+  }
+
+  if (pageStatus.showingOriginal) {
+    return '<br>👁 Showing the original page (shortcut pressed)';
+  }
+
+  const { isDark, luminance } = pageStatus.pageDarkness;
+  const percent = Math.round(luminance * 100);
+
+  if (!isDark) {
+    return `<br>☀ Light page detected (${percent}% luminance)`;
+  }
+
+  const outcomes = {
+    skip: 'theming skipped',
+    light: 'light touch applied',
+    full: 'themed anyway'
+  };
+  const outcome = currentSettings.enabled ? ` — ${outcomes[pageStatus.themeMode]}` : '';
+  return `<br>🌙 Page is already dark (${percent}% luminance)${outcome}`;
+}
+
+/**
+ * How much theming work the page has done and how long the longest
+ * single task took, to check that the page stays responsive
+ */
+function getProcessingInfo() {
+  if (!pageStatus || !pageStatus.processing || !currentSettings.enabled || pageStatus.showingOriginal) {
+    return '';
+  }
+
+  const { visibleProcessed, scrolledProcessed, idleProcessed, pending, longestTask } = pageStatus.processing;
+  const processed = visibleProcessed + scrolledProcessed + idleProcessed;
+  const pendingText = pending ? `, ${pending} pending` : '';
+  return `<br>⚡ ${processed} elements themed${pendingText} · longest task ${longestTask} ms`;
 }
 
 /**
  * Toggle visibility of sliders and buttons
  */
 function toggleControlsVisibility() {
-  if (currentSettings.enabled) {
+  if (editScope === 'global' || currentSettings.enabled) {
     sliderContainer.style.display = 'block';
     actionGroup.style.display = 'flex';
   } else {
@@ -129,88 +353,356 @@ function toggleControlsVisibility() {
  * Setup event listeners
  */
 function setupEventListeners() {
+  scopeSelect.addEventListener('change', handleScopeChange);
+  overrideBadges.forEach(badge => badge.addEventListener('click', handleClearSetting));
   masterToggle.addEventListener('change', handleToggleChange);
   brightnessSlider.addEventListener('input', handleBrightnessChange);
   contrastSlider.addEventListener('input', handleContrastChange);
   warmthSlider.addEventListener('input', handleWarmthChange);
+  engineSelect.addEventListener('change', handleEngineChange);
+  darkPageSelect.addEventListener('change', handleDarkPageModeChange);
+  contrastLevelSelect.addEventListener('change', handleContrastLevelChange);
+  algorithmSelect.addEventListener('change', handleAlgorithmChange);
+  imageModeSelect.addEventListener('change', handleImageModeChange);
+  paletteSelect.addEventListener('change', handlePaletteChange);
+  paletteColorInputs.forEach(input => input.addEventListener('change', handlePaletteColorChange));
+  imageDimmingSlider.addEventListener('input', handleImageDimmingChange);
+  customCssInput.addEventListener('input', handleCustomCssChange);
   resetBtn.addEventListener('click', handleReset);
+  settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  pickElementBtn.addEventListener('click', handlePickElement);
+  clearOverrideBtn.addEventListener('click', handleClearOverride);
+  [scheduleModeSelect, scheduleStartInput, scheduleEndInput, latitudeInput, longitudeInput]
+    .forEach(input => input.addEventListener('change', handleScheduleChange));
+}
+
+/**
+ * Switch between editing this page, host or domain rule and the global defaults
+ */
+function handleScopeChange() {
+  editScope = scopeSelect.value;
+  updateUI();
+}
+
+/**
+ * Store one changed setting in the scope being edited. The service worker
+ * reads, merges and writes the rule, so saves are queued rather than
+ * allowed to overlap.
+ */
+function updateSetting(key, value) {
+  pendingSave = pendingSave
+    .then(() => storeSetting(key, value))
+    .catch(error => console.warn('Could not save setting:', error));
+  return pendingSave;
+}
+
+/**
+ * Save one setting, then reload and apply the resulting settings
+ */
+async function storeSetting(key, value) {
+  if (editScope === 'global') {
+    globalSettings[key] = value;
+    updateSliderValues();
+
+    // The service worker pushes new defaults to every tab
+    await saveGlobalSettings({ [key]: value });
+    await loadSettings();
+    return;
+  }
+
+  currentSettings[key] = value;
+  updateSliderValues();
+
+  await saveSettings({ [key]: value });
+  await loadSettings(); // A more specific rule may still win
+  await applySettingsToTab();
 }
 
 /**
  * Handle master toggle change
  */
 async function handleToggleChange() {
+  if (editScope === 'global') {
+    await updateSetting('enabled', masterToggle.checked);
+    showStatus(`Theme ${masterToggle.checked ? 'enabled' : 'disabled'} by default`, 'success');
+    return;
+  }
+
   currentSettings.enabled = masterToggle.checked;
   
-  await saveSettings();
+  await saveSettings({ enabled: currentSettings.enabled });
+  await loadSettings(); // Picks up a new manual override, if any
   await applySettingsToTab();
+  await loadPageStatus();
   
   toggleControlsVisibility();
   showStatus(`Theme ${currentSettings.enabled ? 'enabled' : 'disabled'}`, 'success');
 }
 
 /**
- * Handle brightness slider change
+ * Save a setting once it stops changing for `delay` ms; only the last
+ * value of a burst is written
+ */
+function scheduleSetting(key, value, delay) {
+  clearTimeout(settingTimers.get(key));
+  settingTimers.set(key, setTimeout(() => {
+    settingTimers.delete(key);
+    updateSetting(key, value);
+  }, delay));
+}
+
+/**
+ * Show a dragged slider's value right away and save it once it rests
  */
-async function handleBrightnessChange() {
-  currentSettings.brightness = parseFloat(brightnessSlider.value);
+function handleSliderInput(key, slider) {
+  const value = parseFloat(slider.value);
+  getEditedSettings()[key] = value;
   updateSliderValues();
-  
-  await saveSettings();
-  await applySettingsToTab();
+  scheduleSetting(key, value, SLIDER_DELAY);
+}
+
+/**
+ * Handle brightness slider change
+ */
+function handleBrightnessChange() {
+  handleSliderInput('brightness', brightnessSlider);
 }
 
 /**
  * Handle contrast slider change
  */
-async function handleContrastChange() {
-  currentSettings.contrast = parseFloat(contrastSlider.value);
-  updateSliderValues();
-  
-  await saveSettings();
-  await applySettingsToTab();
+function handleContrastChange() {
+  handleSliderInput('contrast', contrastSlider);
 }
 
 /**
  * Handle warmth slider change
  */
-async function handleWarmthChange() {
-  currentSettings.warmth = parseFloat(warmthSlider.value);
-  updateSliderValues();
-  
-  await saveSettings();
+function handleWarmthChange() {
+  handleSliderInput('warmth', warmthSlider);
+}
+
+/**
+ * Handle rendering engine change
+ */
+async function handleEngineChange() {
+  await updateSetting('engine', engineSelect.value);
+
+  showStatus(`Using ${engineSelect.value === 'stylesheet' ? 'stylesheet' : 'per-element'} engine`, 'success');
+}
+
+/**
+ * Handle already-dark page behavior change
+ */
+async function handleDarkPageModeChange() {
+  await updateSetting('darkPageMode', darkPageSelect.value);
+  await loadPageStatus();
+}
+
+/**
+ * Handle WCAG contrast target change
+ */
+async function handleContrastLevelChange() {
+  await updateSetting('contrastLevel', contrastLevelSelect.value);
+}
+
+/**
+ * Handle color algorithm change
+ */
+async function handleAlgorithmChange() {
+  await updateSetting('algorithm', algorithmSelect.value);
+}
+
+/**
+ * List the built-in palettes between "None" and "Custom"
+ */
+function addBuiltInPalettes() {
+  const customOption = paletteSelect.querySelector('option[value="custom"]');
+  Object.entries(BUILT_IN_PALETTES).forEach(([id, palette]) => {
+    paletteSelect.insertBefore(new Option(palette.name, id), customOption);
+  });
+}
+
+/**
+ * Handle palette change
+ */
+async function handlePaletteChange() {
+  await updateSetting('palette', paletteSelect.value);
+}
+
+/**
+ * Handle an edit to one color of the custom palette
+ */
+async function handlePaletteColorChange(event) {
+  const customPalette = { ...getEditedSettings().customPalette, [event.target.dataset.role]: event.target.value };
+  await updateSetting('customPalette', customPalette);
+}
+
+/**
+ * Handle image mode change
+ */
+async function handleImageModeChange() {
+  await updateSetting('imageMode', imageModeSelect.value);
+}
+
+/**
+ * Handle photo dimming slider change
+ */
+function handleImageDimmingChange() {
+  handleSliderInput('imageDimming', imageDimmingSlider);
+}
+
+/**
+ * Handle custom CSS edits, saved and applied once typing pauses
+ */
+function handleCustomCssChange() {
+  scheduleSetting('customCss', customCssInput.value, CUSTOM_CSS_DELAY);
+}
+
+/**
+ * Clear one site override so the value is inherited again
+ */
+async function handleClearSetting(event) {
+  await clearSiteSetting(event.currentTarget.dataset.key);
+  await loadSettings();
   await applySettingsToTab();
+  await loadPageStatus();
+}
+
+/**
+ * Start the element picker on the page and get out of its way
+ */
+async function handlePickElement() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  chrome.tabs.sendMessage(tabs[0].id, { action: 'startPicker' }, { frameId: 0 }, () => {
+    if (chrome.runtime.lastError) {
+      showStatus('The picker is not available on this page', 'error');
+      return;
+    }
+    window.close();
+  });
 }
 
 /**
  * Handle reset to defaults
  */
 async function handleReset() {
-  currentSettings = {
-    enabled: currentSettings.enabled,
-    brightness: 1,
-    contrast: 1,
-    warmth: 0
-  };
+  const keys = ['brightness', 'contrast', 'warmth'];
 
-  updateUI();
-  await saveSettings();
+  if (editScope === 'global') {
+    const factory = {};
+    keys.forEach((key) => {
+      factory[key] = DEFAULT_SETTINGS[key];
+    });
+    await saveGlobalSettings(factory);
+  } else {
+    // Resetting a rule means inheriting from broader rules and the defaults again
+    for (const key of keys) {
+      await clearSiteSetting(key);
+    }
+  }
+
+  await loadSettings();
   await applySettingsToTab();
   
   showStatus('Reset to defaults', 'success');
 }
 
 /**
- * Save settings to storage
+ * Load the activation schedule from the service worker
  */
-async function saveSettings() {
+async function loadSchedule() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getSchedule' }, (response) => {
+      if (response && response.schedule) {
+        const { schedule } = response;
+        scheduleModeSelect.value = schedule.mode;
+        scheduleStartInput.value = schedule.start;
+        scheduleEndInput.value = schedule.end;
+        latitudeInput.value = schedule.latitude ?? '';
+        longitudeInput.value = schedule.longitude ?? '';
+        updateScheduleUI(response.state);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Show the fields for the selected schedule mode and the next change
+ */
+function updateScheduleUI(state) {
+  const mode = scheduleModeSelect.value;
+  scheduleFixedFields.style.display = mode === 'fixed' ? 'flex' : 'none';
+  scheduleSunFields.style.display = mode === 'sun' ? 'flex' : 'none';
+
+  if (mode === 'off') {
+    scheduleInfo.textContent = '';
+  } else if (mode === 'system') {
+    const scheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    scheduleInfo.textContent = `System is in ${scheme} mode`;
+  } else if (!state) {
+    scheduleInfo.textContent = mode === 'sun' ? 'Enter latitude and longitude' : 'Enter a start and end time';
+  } else {
+    const at = new Date(state.nextChange).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    scheduleInfo.textContent = `Theme ${state.active ? 'on' : 'off'} until ${at}`;
+  }
+}
+
+/**
+ * Save the schedule; the service worker re-arms alarms and updates open tabs
+ */
+async function handleScheduleChange() {
+  const parseCoordinate = (input, limit) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) && Math.abs(value) <= limit ? value : null;
+  };
+
+  const schedule = {
+    mode: scheduleModeSelect.value,
+    start: scheduleStartInput.value,
+    end: scheduleEndInput.value,
+    latitude: parseCoordinate(latitudeInput, 90),
+    longitude: parseCoordinate(longitudeInput, 180)
+  };
+
+  chrome.runtime.sendMessage({ action: 'saveSchedule', schedule }, async (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showStatus('Could not save schedule', 'error');
+      return;
+    }
+
+    updateScheduleUI(response.state);
+    await loadSettings();
+    await loadPageStatus();
+  });
+}
+
+/**
+ * Drop this site's manual override and go back to the schedule or system
+ */
+async function handleClearOverride() {
+  chrome.runtime.sendMessage({ action: 'clearSiteOverride', url: currentUrl }, async () => {
+    await loadSettings();
+    await applySettingsToTab();
+    await loadPageStatus();
+    toggleControlsVisibility();
+  });
+}
+
+/**
+ * Save changed site settings to storage
+ */
+async function saveSettings(changes) {
   return new Promise((resolve) => {
     try {
       chrome.runtime.sendMessage(
         {
           action: 'saveSiteSettings',
-          domain: currentDomain,
-          settings: currentSettings
+          rule: getEditedRule(),
+          url: currentUrl,
+          settings: changes
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -226,6 +718,35 @@ async function saveSettings() {
   });
 }
 
+/**
+ * Save changed global defaults to storage
+ */
+async function saveGlobalSettings(changes) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'saveGlobalSettings', settings: changes }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Save defaults error:', chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Remove one setting from the rule being edited
+ */
+async function clearSiteSetting(key) {
+  return new Promise((resolve) => {
+    const message = { action: 'clearSiteSetting', rule: getEditedRule(), url: currentUrl, key };
+    chrome.runtime.sendMessage(message, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Clear setting error:', chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
 /**
  * Apply settings to the current tab
  */
@@ -238,7 +759,9 @@ async function applySettingsToTab() {
       tabId,
       {
         action: 'updateSettings',
-        settings: currentSettings
+        settings: currentSettings,
+        source: settingsSource,
+        followsSystem
       },
       (response) => {
         if (chrome.runtime.lastError) {
@@ -3,34 +3,591 @@
  * Handles storage, context, and inter-script communication
  */
 
-// Initialize storage structure on install
+importScripts(
+  '../shared/settings.js',
+  '../shared/site-rules.js',
+  '../content/dom-analyzer.js',
+  'storage-schema.js'
+);
+
+const SCHEDULE_ALARM = 'schedule-transition';
+const SCHEDULE_CHECK_ALARM = 'schedule-check';
+const SCHEDULE_CHECK_MINUTES = 15; // Safety net for sleep, clock and timezone changes
+const DEFAULT_SCHEDULE = {
+  mode: 'off', // 'off' | 'fixed' | 'sun' | 'system'
+  start: '19:00',
+  end: '07:00',
+  latitude: null,
+  longitude: null
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PICKER_MENU_ID = 'pick-element';
+const COMMAND_STEP = 0.1; // Brightness/warmth change per key press
+const colorAnalyzer = new DOMAnalyzer(); // Theme colors for the early paint
+const STEP_COMMANDS = {
+  'brightness-up': ['brightness', 1],
+  'brightness-down': ['brightness', -1],
+  'warmth-up': ['warmth', 1],
+  'warmth-down': ['warmth', -1]
+};
+
+// Initialize storage structure on install, upgrade it on update
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Smart Dark Theme extension installed');
   
-  // Initialize default settings in storage
-  chrome.storage.local.get(null, (items) => {
+  chrome.storage.local.get(null, async (items) => {
     if (Object.keys(items).length === 0) {
-      chrome.storage.local.set({
-        'globalSettings': {
-          defaultBrightness: 1,
-          defaultContrast: 1,
-          defaultWarmth: 0
-        }
+      await chrome.storage.local.set({
+        'globalSettings': { ...DEFAULT_SETTINGS },
+        'schemaVersion': STORAGE_SCHEMA_VERSION
       });
+    } else {
+      await migrateStorage();
     }
+
+    updateSchedule();
   });
+
+  chrome.contextMenus.create({
+    id: PICKER_MENU_ID,
+    title: 'Fix theming of this element…',
+    contexts: ['page', 'selection', 'link', 'image', 'video'],
+    documentUrlPatterns: ['http://*/*', 'https://*/*']
+  }, () => {
+    void chrome.runtime.lastError; // Already exists after an update
+  });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateSchedule();
+});
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId === 0) {
+    paintEarly(details.tabId, details.url);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM || alarm.name === SCHEDULE_CHECK_ALARM) {
+    updateSchedule();
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  runCommand(command, tab);
 });
 
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === PICKER_MENU_ID && tab) {
+    const message = { action: 'startPicker', fromContextMenu: true };
+    chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId || 0 }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+});
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Timestamp of a local time of day on the same calendar day as `date`
+ */
+function atTimeOfDay(date, minutes) {
+  const result = new Date(date);
+  result.setHours(0, minutes, 0, 0);
+  return result.getTime();
+}
+
+/**
+ * Sunrise and sunset for the day containing `timestamp`, computed locally
+ * with the sunrise equation. Returns { sunrise, sunset } as timestamps,
+ * or { polar: 'night' | 'day' } when the sun doesn't rise or set.
+ */
+function getSunTimes(timestamp, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const julianDate = timestamp / DAY_MS + 2440587.5;
+  const n = Math.round(julianDate - 2451545.0 + 0.0008);
+
+  const meanSolarTime = n - longitude / 360;
+  const meanAnomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(meanAnomaly * rad) +
+    0.02 * Math.sin(2 * meanAnomaly * rad) +
+    0.0003 * Math.sin(3 * meanAnomaly * rad);
+  const eclipticLongitude = (meanAnomaly + center + 180 + 102.9372) % 360;
+  const transit = 2451545.0 + meanSolarTime +
+    0.0053 * Math.sin(meanAnomaly * rad) -
+    0.0069 * Math.sin(2 * eclipticLongitude * rad);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad));
+  const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+    (Math.cos(latitude * rad) * Math.cos(declination));
+
+  if (cosHourAngle > 1) return { polar: 'night' };
+  if (cosHourAngle < -1) return { polar: 'day' };
+
+  const hourAngle = Math.acos(cosHourAngle) / rad;
+  const toTimestamp = julian => (julian - 2440587.5) * DAY_MS;
+
+  return {
+    sunrise: toTimestamp(transit - hourAngle / 360),
+    sunset: toTimestamp(transit + hourAngle / 360)
+  };
+}
+
+/**
+ * Whether the schedule wants the theme on at `now`, and when that next changes.
+ * In 'system' mode the OS color scheme decides and there is no known next change.
+ */
+function evaluateSchedule(schedule, now = Date.now(), prefersDark = null) {
+  if (schedule.mode === 'system') {
+    if (typeof prefersDark !== 'boolean') return null;
+    return { active: prefersDark, nextChange: null };
+  }
+
+  if (schedule.mode === 'fixed') {
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    if (start === null || end === null || start === end) return null;
+
+    // Upcoming boundaries, today and tomorrow, in order
+    const boundaries = [0, DAY_MS]
+      .flatMap(offset => [
+        { at: atTimeOfDay(now + offset, start), active: true },
+        { at: atTimeOfDay(now + offset, end), active: false }
+      ])
+      .sort((a, b) => a.at - b.at);
+    const next = boundaries.find(boundary => boundary.at > now);
+
+    // The window is active now exactly when the next boundary switches it off
+    return { active: !next.active, nextChange: next.at };
+  }
+
+  if (schedule.mode === 'sun') {
+    const { latitude, longitude } = schedule;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+    const events = [-DAY_MS, 0, DAY_MS, 2 * DAY_MS].flatMap((offset) => {
+      const times = getSunTimes(now + offset, latitude, longitude);
+      if (times.polar) return [];
+      return [
+        { at: times.sunrise, active: false },
+        { at: times.sunset, active: true }
+      ];
+    }).sort((a, b) => a.at - b.at);
+
+    const previous = events.filter(event => event.at <= now).pop();
+    const next = events.find(event => event.at > now);
+
+    if (!previous || !next) {
+      // Polar day or night: re-check periodically
+      const times = getSunTimes(now, latitude, longitude);
+      return { active: times.polar === 'night', nextChange: now + DAY_MS };
+    }
+
+    return { active: previous.active, nextChange: next.at };
+  }
+
+  return null;
+}
+
+/**
+ * Current schedule, the OS color scheme last reported by a tab, and the
+ * resulting schedule state
+ */
+async function loadScheduleState() {
+  const items = await chrome.storage.local.get(['schedule', 'systemColorScheme']);
+  const schedule = { ...DEFAULT_SCHEDULE, ...items.schedule };
+  const prefersDark = items.systemColorScheme ? items.systemColorScheme.prefersDark : null;
+
+  return { schedule, prefersDark, state: evaluateSchedule(schedule, Date.now(), prefersDark) };
+}
+
+/**
+ * Overrides made while following the system last until cleared (until: null),
+ * those made against a timed schedule until its next change
+ */
+function isOverrideActive(override) {
+  return Boolean(override) && (override.until === null || override.until > Date.now());
+}
+
+/**
+ * Every stored site rule pattern
+ */
+function getRulePatterns(items) {
+  return Object.keys(items).filter(key => !RESERVED_STORAGE_KEYS.includes(key) && items[key]);
+}
+
+/**
+ * Resolve a page's effective settings: global defaults, then every matching
+ * rule from least to most specific, then the schedule and any manual or
+ * "always on/off" override for `enabled`. `source` is 'site', 'schedule',
+ * 'system' or 'override'.
+ */
+async function resolveSiteSettings(url) {
+  const items = await chrome.storage.local.get(null);
+  const patterns = findMatchingRules(getRulePatterns(items), url);
+  const { schedule, state } = await loadScheduleState();
+
+  const rules = patterns.map(pattern => ({ pattern, settings: getSiteOverrides(items[pattern]) }));
+  const siteSettings = mergeSiteSettings(rules.map(rule => rule.settings));
+
+  const result = {
+    settings: resolveSettings(items.globalSettings, siteSettings),
+    siteSettings,
+    rules,
+    globalSettings: normalizeGlobalSettings(items.globalSettings),
+    source: 'site',
+    followsSystem: schedule.mode === 'system'
+  };
+
+  if (!state) {
+    return result;
+  }
+
+  // The most specific rule with a live override decides
+  const override = patterns
+    .map(pattern => items[pattern].override)
+    .filter(isOverrideActive)
+    .pop();
+  if (override) {
+    result.settings.enabled = override.enabled;
+    result.source = 'override';
+    result.overrideUntil = override.until;
+    return result;
+  }
+
+  result.settings.enabled = state.active;
+  result.source = result.followsSystem ? 'system' : 'schedule';
+  result.nextChange = state.nextChange;
+  return result;
+}
+
+/**
+ * Merge changed settings into one rule's stored overrides. While a schedule
+ * is running, flipping `enabled` from a page (`url` given) records a manual
+ * override on that rule instead, lasting until the next schedule change.
+ * Setting `enabled` on the rule itself (options page) is a deliberate choice
+ * and also stores an "always on/off" override (until: null) that the
+ * schedule doesn't change.
+ */
+async function storeSiteSettings(pattern, changes, url) {
+  const items = await chrome.storage.local.get(pattern);
+  const { enabled, ...rest } = changes;
+  const next = { ...items[pattern], ...getSiteOverrides(rest) };
+
+  if (enabled !== undefined) {
+    const { state } = await loadScheduleState();
+
+    if (!url) {
+      next.enabled = enabled;
+      next.override = { enabled, until: null };
+    } else if (!state) {
+      next.enabled = enabled;
+    } else {
+      const resolved = await resolveSiteSettings(url);
+      if (enabled !== resolved.settings.enabled) {
+        next.override = { enabled, until: state.nextChange };
+      }
+    }
+  }
+
+  await chrome.storage.local.set({ [pattern]: next });
+}
+
+/**
+ * Remove one setting from a rule so matching pages inherit it again.
+ * Clearing `enabled` also drops the rule's override.
+ */
+async function clearSiteSetting(pattern, key) {
+  const items = await chrome.storage.local.get(pattern);
+  if (!items[pattern] || !(key in items[pattern])) return;
+
+  const { [key]: removed, ...rest } = items[pattern];
+  if (key === 'enabled') {
+    delete rest.override;
+  }
+  if (Object.keys(rest).length) {
+    await chrome.storage.local.set({ [pattern]: rest });
+  } else {
+    await chrome.storage.local.remove(pattern);
+  }
+}
+
+/**
+ * Apply edits to several rules at once; a null value clears that setting
+ */
+async function storeSiteRules(rules) {
+  for (const [pattern, changes] of Object.entries(rules)) {
+    const cleared = Object.keys(changes).filter(key => changes[key] === null);
+    const updates = {};
+    Object.keys(changes).forEach((key) => {
+      if (changes[key] !== null) updates[key] = changes[key];
+    });
+
+    await storeSiteSettings(pattern, updates);
+    for (const key of cleared) {
+      await clearSiteSetting(pattern, key);
+    }
+  }
+
+  await broadcastSettings();
+}
+
+/**
+ * Merge changed global defaults and push the result to every open tab
+ */
+async function storeGlobalSettings(changes) {
+  const items = await chrome.storage.local.get('globalSettings');
+  const globalSettings = normalizeGlobalSettings({ ...normalizeGlobalSettings(items.globalSettings), ...changes });
+
+  await chrome.storage.local.set({ globalSettings });
+  await broadcastSettings();
+}
+
+/**
+ * Remember the OS color scheme reported by a tab or the popup; the
+ * service worker itself has no matchMedia
+ */
+async function recordColorScheme(prefersDark) {
+  const items = await chrome.storage.local.get('systemColorScheme');
+  const previous = items.systemColorScheme ? items.systemColorScheme.prefersDark : null;
+
+  if (previous !== prefersDark) {
+    await chrome.storage.local.set({ systemColorScheme: { prefersDark } });
+    await updateSchedule();
+  }
+}
+
+/**
+ * Drop the manual overrides of every rule matching a page so the schedule
+ * (or system) decides again
+ */
+async function clearSiteOverride(url) {
+  const items = await chrome.storage.local.get(null);
+  const updates = {};
+
+  findMatchingRules(getRulePatterns(items), url).forEach((pattern) => {
+    if (items[pattern].override) {
+      const { override, ...settings } = items[pattern];
+      updates[pattern] = settings;
+    }
+  });
+
+  if (Object.keys(updates).length) {
+    await chrome.storage.local.set(updates);
+  }
+}
+
+/**
+ * Changing the schedule starts fresh: forget every site's manual override.
+ * "Always on/off" overrides (until: null) are kept.
+ */
+async function clearAllOverrides() {
+  const items = await chrome.storage.local.get(null);
+  const updates = {};
+
+  Object.keys(items).forEach((key) => {
+    if (items[key] && typeof items[key] === 'object' && items[key].override && items[key].override.until !== null) {
+      const { override, ...settings } = items[key];
+      updates[key] = settings;
+    }
+  });
+
+  if (Object.keys(updates).length) {
+    await chrome.storage.local.set(updates);
+  }
+}
+
+/**
+ * Re-arm schedule alarms and push the resulting state to every open tab
+ * when it changed
+ */
+async function updateSchedule() {
+  const items = await chrome.storage.local.get('scheduleState');
+  const { state } = await loadScheduleState();
+
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+
+  if (!state || state.nextChange === null) {
+    await chrome.alarms.clear(SCHEDULE_CHECK_ALARM);
+  } else {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: state.nextChange });
+    chrome.alarms.create(SCHEDULE_CHECK_ALARM, { periodInMinutes: SCHEDULE_CHECK_MINUTES });
+  }
+
+  const active = state ? state.active : null;
+  const previous = items.scheduleState ? items.scheduleState.active : null;
+
+  if (active !== previous) {
+    await chrome.storage.local.set({ scheduleState: { active, changedAt: Date.now() } });
+    await broadcastSettings();
+  }
+}
+
+/**
+ * Paint a page that is about to be themed dark as soon as its navigation
+ * commits, in the colors its settings resolve to, so it doesn't flash white
+ * until the content script has its settings
+ */
+async function paintEarly(tabId, url) {
+  if (!isThemeableUrl(url)) return;
+
+  const { settings } = await resolveSiteSettings(url);
+  if (!settings.enabled) return;
+
+  try {
+    await chrome.scripting.insertCSS({
+      target: { tabId, frameIds: [0] },
+      css: buildEarlyPaintCss(settings)
+    });
+  } catch (error) {
+    // The tab navigated again or was closed in the meantime
+  }
+}
+
+/**
+ * The page's background and text in its theme's colors. Injected CSS can't
+ * be taken back by the content script, so it stops applying once the root
+ * carries EARLY_PAINT_DONE.
+ */
+function buildEarlyPaintCss(settings) {
+  const transformSettings = { ...settings, paletteColors: getPaletteColors(settings) };
+  const background = colorAnalyzer.transformPropertyValue('background-color', 'rgb(255, 255, 255)', transformSettings);
+  const text = colorAnalyzer.transformPropertyValue('color', 'rgb(0, 0, 0)', transformSettings);
+  const root = `:root:not([${EARLY_PAINT_DONE}])`;
+
+  return `${root}, ${root} body { background-color: ${background} !important; color: ${text} !important; }
+${root} { color-scheme: dark; }
+`;
+}
+
+/**
+ * Send every tab's effective settings to its content script
+ */
+async function broadcastSettings() {
+  const tabs = await chrome.tabs.query({});
+
+  for (const tab of tabs) {
+    await sendSettingsToTab(tab);
+  }
+}
+
+/**
+ * Send one tab its effective settings, if it's a page we theme. The message
+ * reaches the content script in every frame of the tab.
+ */
+async function sendSettingsToTab(tab) {
+  if (!isThemeableUrl(tab.url)) return;
+
+  const { settings, source, followsSystem } = await resolveSiteSettings(tab.url);
+
+  const message = { action: 'updateSettings', settings, source, followsSystem };
+  chrome.tabs.sendMessage(tab.id, message, () => {
+    // Tabs without the content script (e.g. opened before install) are expected
+    void chrome.runtime.lastError;
+  });
+}
+
+/**
+ * URL whose site rules apply to a message. Frames follow the tab's top-level
+ * page rather than their own address, so an embedded widget is themed like
+ * the page around it.
+ */
+function getPageUrl(request, sender) {
+  if (sender.tab && sender.frameId && sender.tab.url) {
+    return sender.tab.url;
+  }
+  return request.url;
+}
+
+/**
+ * Content scripts only run on http(s) pages
+ */
+function isThemeableUrl(href) {
+  try {
+    const url = new URL(href);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rule that changes made from a page (shortcuts, element picker) are saved
+ * to: the most specific matching rule, or a new one for the page's host
+ */
+function getTargetRule(resolved, url) {
+  return resolved.rules.length
+    ? resolved.rules[resolved.rules.length - 1].pattern
+    : getScopePatterns(url).host;
+}
+
+/**
+ * Add a selector picked on a page to its site's element rules, then push
+ * the new settings back to the tab
+ */
+async function addElementRule(url, kind, selector) {
+  const resolved = await resolveSiteSettings(url);
+  const rule = getTargetRule(resolved, url);
+  const stored = resolved.rules.find(entry => entry.pattern === rule);
+  const current = (stored && stored.settings.elementRules) || DEFAULT_SETTINGS.elementRules;
+
+  await storeSiteSettings(rule, { elementRules: addElementRules(current, { [kind]: [selector] }) });
+  return rule;
+}
+
+/**
+ * Run a keyboard shortcut against the active tab. Changes are saved to the
+ * most specific rule matching the page, the same way the popup saves them.
+ */
+async function runCommand(command, tab) {
+  if (!tab || !isThemeableUrl(tab.url)) return;
+
+  if (command === 'show-original') {
+    // Not persisted: the content script keeps the peek until pressed again
+    chrome.tabs.sendMessage(tab.id, { action: 'toggleTheme', temporary: true }, () => {
+      void chrome.runtime.lastError;
+    });
+    return;
+  }
+
+  const resolved = await resolveSiteSettings(tab.url);
+  const rule = getTargetRule(resolved, tab.url);
+
+  if (command === 'toggle-theme') {
+    await storeSiteSettings(rule, { enabled: !resolved.settings.enabled }, tab.url);
+  } else if (STEP_COMMANDS[command]) {
+    const [key, direction] = STEP_COMMANDS[command];
+    const { min, max } = SETTING_CONSTRAINTS[key];
+    const value = Math.round((resolved.settings[key] + direction * COMMAND_STEP) * 10) / 10;
+    await storeSiteSettings(rule, { [key]: Math.min(max, Math.max(min, value)) }, tab.url);
+  } else {
+    return;
+  }
+
+  await sendSettingsToTab(tab);
+}
+
 // Handle messages from content and popup scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'saveSiteSettings') {
-    const domain = request.domain;
+    const rule = request.rule;
     const settings = request.settings;
+
+    if (!parseRulePattern(rule)) {
+      sendResponse({ success: false, error: `Invalid site rule: ${rule}` });
+      return;
+    }
     
-    chrome.storage.local.set({
-      [domain]: settings
-    }, () => {
-      console.log(`Settings saved for ${domain}:`, settings);
+    storeSiteSettings(rule, settings, request.url).then(() => {
+      console.log(`Settings saved for ${rule}:`, settings);
       sendResponse({ success: true });
     });
 
@@ -38,27 +595,180 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === 'getSiteSettings') {
-    const domain = request.domain;
-    
-    chrome.storage.local.get(domain, (items) => {
-      sendResponse({ settings: items[domain] || null });
+    // Callers with a window report the OS color scheme along the way
+    const reported = typeof request.prefersDark === 'boolean'
+      ? recordColorScheme(request.prefersDark)
+      : Promise.resolve();
+
+    reported
+      .then(() => resolveSiteSettings(getPageUrl(request, sender)))
+      .then(sendResponse);
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'getSchedule') {
+    loadScheduleState().then(({ schedule, state }) => {
+      sendResponse({ schedule, state });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'saveSchedule') {
+    const schedule = { ...DEFAULT_SCHEDULE, ...request.schedule };
+
+    chrome.storage.local.set({ schedule }, () => {
+      clearAllOverrides()
+        .then(() => updateSchedule())
+        .then(() => loadScheduleState())
+        .then(({ state }) => sendResponse({ success: true, state }));
     });
 
     return true; // Keep channel open for async response
   }
 
+  if (request.action === 'fetchStylesheet') {
+    // Cross-origin sheets can't be read by the page, but the extension
+    // has host permissions to fetch them for the stylesheet engine
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch {
+      sendResponse({ error: 'Invalid stylesheet URL' });
+      return;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      sendResponse({ error: `Unsupported stylesheet protocol: ${url.protocol}` });
+      return;
+    }
+
+    fetch(url.href, { credentials: 'omit' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+      })
+      .then(text => sendResponse({ text }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'reportColorScheme') {
+    recordColorScheme(request.prefersDark).then(() => sendResponse({ success: true }));
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'clearSiteOverride') {
+    clearSiteOverride(request.url)
+      .then(() => resolveSiteSettings(request.url))
+      .then(sendResponse);
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'clearSiteSetting') {
+    clearSiteSetting(request.rule, request.key)
+      .then(() => resolveSiteSettings(request.url))
+      .then(sendResponse);
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'getGlobalSettings') {
+    chrome.storage.local.get('globalSettings', (items) => {
+      sendResponse({ settings: normalizeGlobalSettings(items.globalSettings) });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'saveGlobalSettings') {
+    storeGlobalSettings(request.settings).then(() => sendResponse({ success: true }));
+
+    return true; // Keep channel open for async response
+  }
+
   if (request.action === 'getAllSites') {
+    // Every site rule with the values it sets, plus the defaults it inherits
     chrome.storage.local.get(null, (items) => {
       const sites = {};
-      Object.keys(items).forEach(key => {
-        if (key !== 'globalSettings' && items[key] && items[key].enabled) {
-          sites[key] = items[key];
-        }
+      getRulePatterns(items).forEach(key => {
+        sites[key] = {
+          settings: getSiteOverrides(items[key]),
+          effective: resolveSettings(items.globalSettings, items[key])
+        };
       });
-      sendResponse({ sites });
+      sendResponse({ sites, globalSettings: normalizeGlobalSettings(items.globalSettings) });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'saveSiteRules') {
+    const invalid = Object.keys(request.rules).filter(pattern => !parseRulePattern(pattern));
+    if (invalid.length) {
+      sendResponse({ success: false, error: `Invalid site rule: ${invalid.join(', ')}` });
+      return;
+    }
+
+    storeSiteRules(request.rules).then(() => sendResponse({ success: true }));
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'addElementRule') {
+    if (!['never', 'always', 'media'].includes(request.kind) || typeof request.selector !== 'string') {
+      sendResponse({ success: false, error: 'Invalid element rule' });
+      return;
+    }
+
+    addElementRule(getPageUrl(request, sender), request.kind, request.selector).then(async (rule) => {
+      if (sender.tab) {
+        await sendSettingsToTab(sender.tab);
+      }
+      sendResponse({ success: true, rule });
     });
 
     return true; // Keep channel open for async response
   }
+
+  if (request.action === 'exportSettings') {
+    chrome.storage.local.get(null, (items) => {
+      sendResponse({ data: buildExport(items) });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'importSettings') {
+    const { items, errors } = parseImport(request.data);
+    if (errors.length) {
+      sendResponse({ success: false, errors });
+      return;
+    }
+
+    applyImport(items, request.mode === 'replace' ? 'replace' : 'merge')
+      .then(() => updateSchedule())
+      .then(() => broadcastSettings())
+      .then(() => {
+        const count = Object.keys(items).filter(key => !RESERVED_STORAGE_KEYS.includes(key)).length;
+        sendResponse({ success: true, count });
+      });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'deleteSiteRules') {
+    chrome.storage.local.remove(request.patterns)
+      .then(() => broadcastSettings())
+      .then(() => sendResponse({ success: true }));
+
+    return true; // Keep channel open for async response
+  }
 });
 
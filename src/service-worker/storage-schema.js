@@ -0,0 +1,243 @@
+/**
+ * Storage Schema
+ * Versioning, migrations and import/export of everything the extension
+ * keeps in chrome.storage.local
+ */
+
+const STORAGE_SCHEMA_VERSION = 2;
+const EXPORT_FORMAT = 'smart-dark-theme-settings';
+
+// Storage keys that only describe the current session and are never exported
+const TRANSIENT_STORAGE_KEYS = ['scheduleState', 'systemColorScheme', 'schemaVersion'];
+
+/**
+ * Upgrades from each schema version to the next. Every step takes and
+ * returns a complete map of storage items.
+ */
+const STORAGE_MIGRATIONS = {
+  // 1: flat domain -> { enabled, brightness, contrast, warmth } keys and
+  // globalSettings as { defaultBrightness, defaultContrast, defaultWarmth }
+  1: (items) => {
+    const migrated = {};
+    // Old rules always stored `enabled`; keep it only where it was a real choice
+    const defaultEnabled = normalizeGlobalSettings(items.globalSettings).enabled;
+
+    Object.keys(items).forEach((key) => {
+      const value = items[key];
+
+      if (key === 'globalSettings') {
+        migrated.globalSettings = normalizeGlobalSettings(value);
+      } else if (RESERVED_STORAGE_KEYS.includes(key)) {
+        migrated[key] = value;
+      } else if (value && typeof value === 'object' && parseRulePattern(key.toLowerCase())) {
+        const rule = getSiteOverrides(value);
+        if (rule.enabled === defaultEnabled) delete rule.enabled;
+        if (value.override) rule.override = value.override;
+        migrated[key.toLowerCase()] = { ...migrated[key.toLowerCase()], ...rule };
+      }
+      // Anything else is an unreadable leftover and is dropped
+    });
+
+    return migrated;
+  }
+};
+
+/**
+ * Run every migration from `fromVersion` up to the current schema
+ */
+function migrateItems(items, fromVersion) {
+  let migrated = items;
+  for (let version = fromVersion; version < STORAGE_SCHEMA_VERSION; version++) {
+    migrated = STORAGE_MIGRATIONS[version](migrated);
+  }
+  return { ...migrated, schemaVersion: STORAGE_SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade stored data written by an older version of the extension.
+ * Storage without a schemaVersion predates versioning (version 1).
+ */
+async function migrateStorage() {
+  const items = await chrome.storage.local.get(null);
+  const fromVersion = items.schemaVersion || 1;
+  if (fromVersion >= STORAGE_SCHEMA_VERSION) return;
+
+  const migrated = migrateItems(items, fromVersion);
+  const removed = Object.keys(items).filter(key => !(key in migrated));
+
+  if (removed.length) {
+    await chrome.storage.local.remove(removed);
+  }
+  await chrome.storage.local.set(migrated);
+}
+
+/**
+ * Everything worth backing up, in the export file format. Manual schedule
+ * overrides are temporary and left out.
+ */
+function buildExport(items) {
+  const sites = {};
+  Object.keys(items).forEach((key) => {
+    if (!RESERVED_STORAGE_KEYS.includes(key) && items[key]) {
+      sites[key] = getSiteOverrides(items[key]);
+    }
+  });
+
+  const data = {
+    format: EXPORT_FORMAT,
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    globalSettings: normalizeGlobalSettings(items.globalSettings),
+    sites
+  };
+
+  if (items.schedule) {
+    data.schedule = items.schedule;
+  }
+  return data;
+}
+
+/**
+ * Turn an export file (or a raw storage dump from before versioning) into
+ * storage items for the current schema. Returns { items, errors }; any
+ * error means nothing should be written.
+ */
+function parseImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { items: null, errors: ['The file does not contain a settings object'] };
+  }
+
+  let items;
+  let version;
+
+  if (data.format === EXPORT_FORMAT) {
+    version = data.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+      return { items: null, errors: ['schemaVersion must be a positive integer'] };
+    }
+    if (version > STORAGE_SCHEMA_VERSION) {
+      return { items: null, errors: [`schemaVersion ${version} is newer than this extension supports (${STORAGE_SCHEMA_VERSION})`] };
+    }
+    if (!data.sites || typeof data.sites !== 'object' || Array.isArray(data.sites)) {
+      return { items: null, errors: ['"sites" must be an object of site rules'] };
+    }
+
+    items = { ...data.sites };
+    if (data.globalSettings !== undefined) items.globalSettings = data.globalSettings;
+    if (data.schedule !== undefined) items.schedule = data.schedule;
+  } else if (data.format !== undefined) {
+    return { items: null, errors: [`Unrecognized format "${data.format}"`] };
+  } else {
+    // A raw chrome.storage.local dump
+    items = { ...data };
+    version = data.schemaVersion || 1;
+  }
+
+  TRANSIENT_STORAGE_KEYS.forEach(key => delete items[key]);
+
+  // Report entries migrations would silently drop
+  const errors = [];
+  if (version === 1) {
+    Object.keys(items).forEach((key) => {
+      if (!RESERVED_STORAGE_KEYS.includes(key) && !parseRulePattern(key.toLowerCase())) {
+        errors.push(`"${key}" is not a valid site pattern`);
+      }
+    });
+  }
+
+  const migrated = migrateItems(items, version);
+  delete migrated.schemaVersion;
+
+  return { items: migrated, errors: errors.concat(validateItems(migrated)) };
+}
+
+/**
+ * Validation errors for imported storage items, prefixed with where they are
+ */
+function validateItems(items) {
+  const errors = [];
+
+  if (items.globalSettings !== undefined) {
+    validateSettings(items.globalSettings).forEach(error => errors.push(`globalSettings: ${error}`));
+  }
+
+  if (items.schedule !== undefined) {
+    validateSchedule(items.schedule).forEach(error => errors.push(`schedule: ${error}`));
+  }
+
+  Object.keys(items).forEach((key) => {
+    if (RESERVED_STORAGE_KEYS.includes(key)) return;
+
+    if (!parseRulePattern(key)) {
+      errors.push(`"${key}" is not a valid site pattern`);
+      return;
+    }
+    // Manual schedule overrides aren't settings and are allowed through
+    const rule = items[key];
+    const settings = rule && typeof rule === 'object' && !Array.isArray(rule)
+      ? Object.fromEntries(Object.entries(rule).filter(([name]) => name !== 'override'))
+      : rule;
+    validateSettings(settings).forEach(error => errors.push(`${key}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Problems with a schedule object, as readable messages
+ */
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  const inRange = (value, limit) => value === null || (Number.isFinite(value) && Math.abs(value) <= limit);
+
+  if (schedule.mode !== undefined && !['off', 'fixed', 'sun', 'system'].includes(schedule.mode)) {
+    errors.push('mode must be one of off, fixed, sun, system');
+  }
+  if (schedule.start !== undefined && !isTime(schedule.start)) errors.push('start must be HH:MM');
+  if (schedule.end !== undefined && !isTime(schedule.end)) errors.push('end must be HH:MM');
+  if (schedule.latitude !== undefined && !inRange(schedule.latitude, 90)) {
+    errors.push('latitude must be between -90 and 90');
+  }
+  if (schedule.longitude !== undefined && !inRange(schedule.longitude, 180)) {
+    errors.push('longitude must be between -180 and 180');
+  }
+  return errors;
+}
+
+/**
+ * Write imported items. 'merge' keeps existing rules and overlays the
+ * imported ones; 'replace' removes every rule first.
+ */
+async function applyImport(items, mode) {
+  if (mode === 'replace') {
+    const existing = await chrome.storage.local.get(null);
+    const rules = Object.keys(existing).filter(key => !RESERVED_STORAGE_KEYS.includes(key));
+    await chrome.storage.local.remove([...rules, 'globalSettings', 'schedule']);
+    await chrome.storage.local.set(items);
+    return;
+  }
+
+  const existing = await chrome.storage.local.get(Object.keys(items));
+  const merged = {};
+  Object.keys(items).forEach((key) => {
+    merged[key] = { ...existing[key], ...items[key] };
+  });
+  await chrome.storage.local.set(merged);
+}
+
+// Export for CommonJS consumers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STORAGE_SCHEMA_VERSION,
+    EXPORT_FORMAT,
+    migrateItems,
+    buildExport,
+    parseImport,
+    validateSchedule
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Settings Model
+ * Global defaults, per-site overrides and how they combine.
+ * Shared by the service worker, popup and content scripts.
+ */
+
+// Roles a palette assigns a color to, each as #rrggbb
+const PALETTE_ROLES = ['background', 'surface', 'text', 'mutedText', 'link', 'selection', 'border'];
+
+// Palettes offered in the popup besides 'invert' (no palette) and 'custom'
+const BUILT_IN_PALETTES = {
+  'dim-gray': {
+    name: 'Dim gray',
+    colors: { background: '#303134', surface: '#3c4043', text: '#e8eaed', mutedText: '#9aa0a6', link: '#8ab4f8', selection: '#4a5a78', border: '#5f6368' }
+  },
+  'solarized-dark': {
+    name: 'Solarized dark',
+    colors: { background: '#002b36', surface: '#073642', text: '#93a1a1', mutedText: '#657b83', link: '#268bd2', selection: '#274642', border: '#586e75' }
+  },
+  dracula: {
+    name: 'Dracula',
+    colors: { background: '#282a36', surface: '#343746', text: '#f8f8f2', mutedText: '#6272a4', link: '#8be9fd', selection: '#44475a', border: '#44475a' }
+  },
+  nord: {
+    name: 'Nord',
+    colors: { background: '#2e3440', surface: '#3b4252', text: '#eceff4', mutedText: '#9aa5b8', link: '#88c0d0', selection: '#434c5e', border: '#4c566a' }
+  }
+};
+
+// Factory defaults for every setting a site can override
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  brightness: 1,
+  contrast: 1,
+  warmth: 0,
+  engine: 'inline', // 'inline' | 'stylesheet'
+  darkPageMode: 'skip', // 'skip' | 'soften' | 'ignore'
+  contrastLevel: 'AA', // 'AA' | 'AAA'
+  algorithm: 'classic', // 'classic' | 'hue-preserving'
+  imageMode: 'smart', // 'smart' | 'dim' | 'preserve'
+  imageDimming: 0.2, // How much darker photos get, 0 to 0.5
+  palette: 'invert', // 'invert' | a BUILT_IN_PALETTES key | 'custom'
+  customPalette: { ...BUILT_IN_PALETTES['dim-gray'].colors }, // Used when palette is 'custom'
+  elementRules: { never: [], always: [], media: [] }, // Selectors from the element picker
+  customCss: '' // Hand-written fixes injected while the theme is on
+};
+
+// Allowed values for each setting, used to validate imported data
+const SETTING_CONSTRAINTS = {
+  enabled: { type: 'boolean' },
+  brightness: { type: 'number', min: 0.5, max: 1.5 },
+  contrast: { type: 'number', min: 0.5, max: 2 },
+  warmth: { type: 'number', min: 0, max: 1 },
+  engine: { values: ['inline', 'stylesheet'] },
+  darkPageMode: { values: ['skip', 'soften', 'ignore'] },
+  contrastLevel: { values: ['AA', 'AAA'] },
+  algorithm: { values: ['classic', 'hue-preserving'] },
+  imageMode: { values: ['smart', 'dim', 'preserve'] },
+  imageDimming: { type: 'number', min: 0, max: 0.5 },
+  palette: { values: ['invert', ...Object.keys(BUILT_IN_PALETTES), 'custom'] },
+  customPalette: { validate: validatePalette },
+  elementRules: { validate: validateElementRules },
+  customCss: { type: 'string' }
+};
+
+// Set on the root once the content script takes over from the early paint
+const EARLY_PAINT_DONE = 'data-smart-dark-theme-ready';
+
+// Storage keys that hold extension state rather than a site's settings
+const RESERVED_STORAGE_KEYS = [
+  'globalSettings',
+  'schedule',
+  'scheduleState',
+  'systemColorScheme',
+  'schemaVersion'
+];
+
+/**
+ * Global defaults with missing keys filled in. Also reads the original
+ * { defaultBrightness, defaultContrast, defaultWarmth } shape.
+ */
+function normalizeGlobalSettings(stored = {}) {
+  const legacy = {};
+  if (stored.defaultBrightness !== undefined) legacy.brightness = stored.defaultBrightness;
+  if (stored.defaultContrast !== undefined) legacy.contrast = stored.defaultContrast;
+  if (stored.defaultWarmth !== undefined) legacy.warmth = stored.defaultWarmth;
+
+  return { ...DEFAULT_SETTINGS, ...legacy, ...pickSettings(stored) };
+}
+
+/**
+ * Only the keys a site actually overrides
+ */
+function getSiteOverrides(stored) {
+  return pickSettings(stored || {});
+}
+
+/**
+ * Effective settings: global defaults with the site's overrides on top
+ */
+function resolveSettings(globalSettings, siteSettings) {
+  return mergeSiteSettings([normalizeGlobalSettings(globalSettings), getSiteOverrides(siteSettings)]);
+}
+
+/**
+ * Problems with a settings object, as readable messages; empty if valid.
+ * Unknown keys are reported too, since they usually mean a typo.
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  Object.keys(settings).forEach((key) => {
+    const constraint = SETTING_CONSTRAINTS[key];
+    const value = settings[key];
+
+    if (!constraint) {
+      errors.push(`unknown setting "${key}"`);
+    } else if (constraint.validate) {
+      errors.push(...constraint.validate(value).map(error => `${key} ${error}`));
+    } else if (constraint.values && !constraint.values.includes(value)) {
+      errors.push(`${key} must be one of ${constraint.values.join(', ')}`);
+    } else if (constraint.type && typeof value !== constraint.type) {
+      errors.push(`${key} must be a ${constraint.type}`);
+    } else if (constraint.type === 'number' &&
+      (!Number.isFinite(value) || value < constraint.min || value > constraint.max)) {
+      errors.push(`${key} must be between ${constraint.min} and ${constraint.max}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Problems with an elementRules value: { never, always, media } lists of selectors
+ */
+function validateElementRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  Object.keys(rules).forEach((kind) => {
+    if (!Object.keys(DEFAULT_SETTINGS.elementRules).includes(kind)) {
+      errors.push(`has unknown kind "${kind}"`);
+    } else if (!Array.isArray(rules[kind]) || !rules[kind].every(selector => typeof selector === 'string' && selector.trim())) {
+      errors.push(`${kind} must be a list of selectors`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Problems with a customPalette value: a #rrggbb color for every role
+ */
+function validatePalette(palette) {
+  if (!palette || typeof palette !== 'object' || Array.isArray(palette)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  PALETTE_ROLES.forEach((role) => {
+    if (typeof palette[role] !== 'string' || !/^#[0-9a-f]{6}$/i.test(palette[role])) {
+      errors.push(`${role} must be a #rrggbb color`);
+    }
+  });
+  Object.keys(palette).forEach((role) => {
+    if (!PALETTE_ROLES.includes(role)) errors.push(`has unknown role "${role}"`);
+  });
+  return errors;
+}
+
+/**
+ * Role colors of the palette chosen in `settings`, or null for pure inversion
+ */
+function getPaletteColors(settings) {
+  if (settings.palette === 'custom') return settings.customPalette || null;
+  return BUILT_IN_PALETTES[settings.palette] ? BUILT_IN_PALETTES[settings.palette].colors : null;
+}
+
+/**
+ * Combine the overrides of several matching rules, least specific first.
+ * Later rules win per setting, except element rules and custom CSS, which
+ * add up (more specific CSS comes later, so it wins in the cascade).
+ */
+function mergeSiteSettings(settingsList) {
+  return settingsList.reduce((merged, settings) => {
+    const next = { ...merged, ...settings };
+    if (merged.elementRules && settings.elementRules) {
+      next.elementRules = addElementRules(merged.elementRules, settings.elementRules);
+    }
+    if (merged.customCss && settings.customCss) {
+      next.customCss = `${merged.customCss}\n${settings.customCss}`;
+    }
+    return next;
+  }, {});
+}
+
+/**
+ * Element rules from `extra` added to `base`. A selector moved to a
+ * different kind is taken out of its old list.
+ */
+function addElementRules(base, extra) {
+  const combined = {};
+  Object.keys(DEFAULT_SETTINGS.elementRules).forEach((kind) => {
+    const moved = selector => Object.keys(extra).some(other => other !== kind && (extra[other] || []).includes(selector));
+    combined[kind] = [...new Set([...(base[kind] || []).filter(selector => !moved(selector)), ...(extra[kind] || [])])];
+  });
+  return combined;
+}
+
+/**
+ * Keep only known setting keys
+ */
+function pickSettings(source) {
+  const picked = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (source[key] !== undefined) {
+      picked[key] = source[key];
+    }
+  });
+  return picked;
+}
+
+// Export for CommonJS consumers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_SETTINGS,
+    SETTING_CONSTRAINTS,
+    RESERVED_STORAGE_KEYS,
+    EARLY_PAINT_DONE,
+    BUILT_IN_PALETTES,
+    PALETTE_ROLES,
+    getPaletteColors,
+    normalizeGlobalSettings,
+    validateSettings,
+    mergeSiteSettings,
+    addElementRules,
+    getSiteOverrides,
+    resolveSettings
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Site Rules
+ * Settings are stored under URL patterns rather than exact hostnames:
+ *   example.com          that host only
+ *   *.example.com        example.com and every subdomain
+ *   example.com/admin    that host, under the /admin path
+ *   *.example.com/admin  any of the above combined
+ * When several rules match a page, the most specific one wins per setting.
+ */
+
+// Second-level labels that are registries under a country code (example.co.uk)
+const COUNTRY_SECOND_LEVELS = [
+  'ac', 'co', 'com', 'edu', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'or', 'org', 'plc'
+];
+// Ports URL.port reports as empty, so rules never compare against them
+const DEFAULT_PORTS = ['80', '443'];
+
+/**
+ * Split a stored pattern into its host and path parts, or null if the key
+ * isn't a site rule
+ */
+function parseRulePattern(pattern) {
+  const match = /^(\*\.)?([a-z0-9.-]+|\[[0-9a-f:.]+\])(?::(\d+))?(\/.*)?$/i.exec(pattern);
+  if (!match) return null;
+
+  return {
+    wildcard: Boolean(match[1]),
+    host: match[2].toLowerCase(),
+    port: DEFAULT_PORTS.includes(match[3]) ? '' : match[3] || '',
+    path: (match[4] || '/').replace(/\/+$/, '') || '/'
+  };
+}
+
+/**
+ * Whether a rule applies to a URL. Paths match on whole segments, so
+ * /admin covers /admin/users but not /administrator.
+ */
+function ruleMatchesUrl(rule, url) {
+  const host = url.hostname.toLowerCase();
+  const hostMatches = rule.wildcard
+    ? host === rule.host || host.endsWith('.' + rule.host)
+    : host === rule.host;
+
+  if (!hostMatches || (rule.port && rule.port !== url.port)) return false;
+  if (rule.path === '/') return true;
+
+  return url.pathname === rule.path || url.pathname.startsWith(rule.path + '/');
+}
+
+/**
+ * Precedence of a rule: a longer path beats any host, an exact host beats a
+ * wildcard, and a deeper wildcard beats a shallower one
+ */
+function getRuleSpecificity(rule) {
+  const pathDepth = rule.path === '/' ? 0 : rule.path.split('/').length - 1;
+  const hostDepth = rule.host.split('.').length;
+
+  return pathDepth * 10000 + (rule.wildcard ? 0 : 1000) + hostDepth * 10 + (rule.port ? 1 : 0);
+}
+
+/**
+ * Stored patterns that match a URL, least specific first
+ */
+function findMatchingRules(patterns, href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return [];
+  }
+
+  return patterns
+    .map(pattern => ({ pattern, rule: parseRulePattern(pattern) }))
+    .filter(({ rule }) => rule && ruleMatchesUrl(rule, url))
+    .sort((a, b) => getRuleSpecificity(a.rule) - getRuleSpecificity(b.rule))
+    .map(({ pattern }) => pattern);
+}
+
+/**
+ * The patterns a change can be scoped to from a given page:
+ * this page (host + path), this host, or the whole registrable domain.
+ * A non-default port is kept, so local servers on different ports get
+ * separate rules.
+ */
+function getScopePatterns(href) {
+  const url = new URL(href);
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port ? ':' + url.port : '';
+  const host = hostname + port;
+  const path = url.pathname.replace(/\/+$/, '');
+
+  return {
+    page: path ? host + path : host,
+    host,
+    // Local hosts and IP addresses have no domain to widen to
+    domain: hasRegistrableDomain(hostname) ? '*.' + getRegistrableDomain(hostname) + port : host
+  };
+}
+
+/**
+ * Whether a host belongs to a domain, unlike IP addresses and single-label
+ * hosts such as localhost
+ */
+function hasRegistrableDomain(host) {
+  return !/^[\d.]+$/.test(host) && !host.startsWith('[') && host.includes('.');
+}
+
+/**
+ * Best-effort registrable domain without a public suffix list: the last two
+ * labels, or three for two-letter country codes under a known registry
+ * second level (example.co.uk, but zdf.de)
+ */
+function getRegistrableDomain(host) {
+  if (!hasRegistrableDomain(host)) {
+    return host;
+  }
+
+  const labels = host.split('.');
+  const countryCode = labels[labels.length - 1].length === 2;
+  const registrySecondLevel = labels.length > 2 && COUNTRY_SECOND_LEVELS.includes(labels[labels.length - 2]);
+
+  return labels.slice(countryCode && registrySecondLevel ? -3 : -2).join('.');
+}
+
+// Export for CommonJS consumers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseRulePattern,
+    ruleMatchesUrl,
+    getRuleSpecificity,
+    findMatchingRules,
+    getScopePatterns,
+    hasRegistrableDomain,
+    getRegistrableDomain
+  };
+}
@@ -0,0 +1,50 @@
+const DOMAnalyzer = require('../src/content/dom-analyzer');
+
+describe('DOMAnalyzer.parseColor', () => {
+  const analyzer = new DOMAnalyzer();
+  const parse = value => analyzer.parseColor(value);
+  const rounded = (color) => {
+    const { r, g, b, a } = color;
+    return { r: Math.round(r), g: Math.round(g), b: Math.round(b), a };
+  };
+
+  test('reads hex in every length', () => {
+    expect(parse('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(parse('#ff000080')).toEqual({ r: 255, g: 0, b: 0, a: 128 / 255 });
+    expect(parse('#12345')).toBeNull();
+  });
+
+  test('reads named colors and transparent', () => {
+    expect(parse('RebeccaPurple')).toEqual({ r: 102, g: 51, b: 153, a: 1 });
+    expect(parse('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+  });
+
+  test('reads legacy and modern rgb syntax', () => {
+    expect(parse('rgba(10, 20, 30, 0.5)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parse('rgb(10 20 30 / 50%)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parse('rgb(100% 0% 0%)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  });
+
+  test('reads hsl and hwb', () => {
+    expect(rounded(parse('hsl(120, 100%, 50%)'))).toEqual({ r: 0, g: 255, b: 0, a: 1 });
+    expect(rounded(parse('hsl(240deg 100% 50% / 0.25)'))).toEqual({ r: 0, g: 0, b: 255, a: 0.25 });
+    expect(rounded(parse('hwb(0 0% 0%)'))).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  });
+
+  test('reads lab, oklch and color() within rounding', () => {
+    expect(rounded(parse('lab(100 0 0)'))).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(rounded(parse('oklch(0 0 0)'))).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+    expect(rounded(parse('color(srgb 1 0.5 0)'))).toEqual({ r: 255, g: 128, b: 0, a: 1 });
+  });
+
+  test('clamps out-of-gamut channels', () => {
+    expect(parse('rgb(300, -20, 0)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  });
+
+  test('rejects anything else', () => {
+    expect(parse('')).toBeNull();
+    expect(parse('not-a-color')).toBeNull();
+    expect(parse('var(--accent)')).toBeNull();
+    expect(parse(undefined)).toBeNull();
+  });
+});
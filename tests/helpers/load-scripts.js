@@ -0,0 +1,54 @@
+/**
+ * Load extension scripts the way the browser does: as classic scripts
+ * sharing one global scope, so their top-level functions can see each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * A chrome.* stand-in where every namespace exists and every call does
+ * nothing, enough for scripts that register listeners at load time
+ */
+function createChromeStub() {
+  const handler = {
+    get(target, key) {
+      if (!(key in target)) target[key] = new Proxy(function () {}, handler);
+      return target[key];
+    },
+    apply: () => undefined
+  };
+  return new Proxy(function () {}, handler);
+}
+
+/**
+ * Run `files` (relative to the repository root) in a fresh context and
+ * return its globals, top-level consts included. Service worker
+ * importScripts() calls resolve against the importing file.
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, URL, chrome: createChromeStub(), ...globals });
+
+  const run = (file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    context.importScripts = (...imports) => {
+      imports.forEach(imported => run(path.join(path.dirname(file), imported)));
+    };
+    vm.runInContext(source, context, { filename: file });
+  };
+
+  files.forEach(run);
+
+  // Top-level const and class declarations aren't properties of the global object
+  return new Proxy(context, {
+    get(target, key) {
+      if (key in target || typeof key !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(key)) return target[key];
+      return vm.runInContext(`typeof ${key} === 'undefined' ? undefined : ${key}`, target);
+    }
+  });
+}
+
+module.exports = { loadScripts };
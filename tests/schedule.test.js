@@ -0,0 +1,90 @@
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { evaluateSchedule, getSunTimes } = loadScripts(['src/service-worker/background.js']);
+
+const MINUTE = 60 * 1000;
+const LONDON = { latitude: 51.5, longitude: -0.13 };
+const TROMSO = { latitude: 69.6, longitude: 18.9 };
+
+describe('getSunTimes', () => {
+  test('matches published sunrise and sunset within a few minutes', () => {
+    const { sunrise, sunset } = getSunTimes(Date.UTC(2024, 5, 21, 12), LONDON.latitude, LONDON.longitude);
+
+    expect(Math.abs(sunrise - Date.UTC(2024, 5, 21, 3, 43))).toBeLessThan(5 * MINUTE);
+    expect(Math.abs(sunset - Date.UTC(2024, 5, 21, 20, 21))).toBeLessThan(5 * MINUTE);
+  });
+
+  test('reports polar day and night', () => {
+    expect(getSunTimes(Date.UTC(2024, 5, 21, 12), TROMSO.latitude, TROMSO.longitude)).toEqual({ polar: 'day' });
+    expect(getSunTimes(Date.UTC(2024, 11, 21, 12), TROMSO.latitude, TROMSO.longitude)).toEqual({ polar: 'night' });
+  });
+});
+
+describe('evaluateSchedule', () => {
+  describe('fixed', () => {
+    const overnight = { mode: 'fixed', start: '19:00', end: '07:00' };
+    const at = (hours, minutes = 0, day = 15) => new Date(2024, 0, day, hours, minutes).getTime();
+
+    test('is active inside a window that spans midnight', () => {
+      expect(evaluateSchedule(overnight, at(22))).toEqual({ active: true, nextChange: at(7, 0, 16) });
+      expect(evaluateSchedule(overnight, at(3))).toEqual({ active: true, nextChange: at(7) });
+    });
+
+    test('is inactive outside it', () => {
+      expect(evaluateSchedule(overnight, at(12))).toEqual({ active: false, nextChange: at(19) });
+    });
+
+    test('switches exactly at the boundaries', () => {
+      expect(evaluateSchedule(overnight, at(19)).active).toBe(true);
+      expect(evaluateSchedule(overnight, at(7)).active).toBe(false);
+    });
+
+    test('handles a window within one day', () => {
+      const daytime = { mode: 'fixed', start: '09:00', end: '17:30' };
+      expect(evaluateSchedule(daytime, at(12))).toEqual({ active: true, nextChange: at(17, 30) });
+      expect(evaluateSchedule(daytime, at(18))).toEqual({ active: false, nextChange: at(9, 0, 16) });
+    });
+
+    test('has no state for unusable times', () => {
+      expect(evaluateSchedule({ mode: 'fixed', start: '19:00', end: '19:00' }, at(12))).toBeNull();
+      expect(evaluateSchedule({ mode: 'fixed', start: 'dusk', end: '07:00' }, at(12))).toBeNull();
+    });
+  });
+
+  describe('sun', () => {
+    test('is active between sunset and the next sunrise', () => {
+      const state = evaluateSchedule({ mode: 'sun', ...LONDON }, Date.UTC(2024, 5, 21, 22));
+
+      expect(state.active).toBe(true);
+      expect(Math.abs(state.nextChange - Date.UTC(2024, 5, 22, 3, 43))).toBeLessThan(5 * MINUTE);
+    });
+
+    test('is inactive during the day', () => {
+      const state = evaluateSchedule({ mode: 'sun', ...LONDON }, Date.UTC(2024, 5, 21, 12));
+
+      expect(state.active).toBe(false);
+      expect(Math.abs(state.nextChange - Date.UTC(2024, 5, 21, 20, 21))).toBeLessThan(5 * MINUTE);
+    });
+
+    test('follows polar night and re-checks a day later', () => {
+      const now = Date.UTC(2024, 11, 21, 12);
+      expect(evaluateSchedule({ mode: 'sun', ...TROMSO }, now)).toEqual({ active: true, nextChange: now + 24 * 60 * MINUTE });
+    });
+
+    test('has no state without a location', () => {
+      expect(evaluateSchedule({ mode: 'sun', latitude: null, longitude: null })).toBeNull();
+    });
+  });
+
+  describe('system', () => {
+    test('follows the recorded color scheme', () => {
+      expect(evaluateSchedule({ mode: 'system' }, Date.now(), true)).toEqual({ active: true, nextChange: null });
+      expect(evaluateSchedule({ mode: 'system' }, Date.now(), false)).toEqual({ active: false, nextChange: null });
+      expect(evaluateSchedule({ mode: 'system' }, Date.now(), null)).toBeNull();
+    });
+  });
+
+  test('is off by default', () => {
+    expect(evaluateSchedule({ mode: 'off' })).toBeNull();
+  });
+});
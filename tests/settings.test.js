@@ -0,0 +1,91 @@
+const {
+  DEFAULT_SETTINGS,
+  BUILT_IN_PALETTES,
+  getPaletteColors,
+  normalizeGlobalSettings,
+  validateSettings,
+  mergeSiteSettings,
+  resolveSettings
+} = require('../src/shared/settings');
+
+describe('normalizeGlobalSettings', () => {
+  test('fills in defaults', () => {
+    expect(normalizeGlobalSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('reads the original default* keys', () => {
+    expect(normalizeGlobalSettings({ defaultBrightness: 0.8, defaultWarmth: 0.3 }))
+      .toMatchObject({ brightness: 0.8, warmth: 0.3, contrast: 1 });
+  });
+});
+
+describe('resolveSettings', () => {
+  test('applies site overrides over the defaults and ignores unknown keys', () => {
+    const resolved = resolveSettings({ brightness: 0.9 }, { contrast: 1.2, override: { enabled: true, until: null } });
+    expect(resolved).toMatchObject({ brightness: 0.9, contrast: 1.2 });
+    expect(resolved).not.toHaveProperty('override');
+  });
+});
+
+describe('mergeSiteSettings', () => {
+  test('later rules win per setting', () => {
+    expect(mergeSiteSettings([{ brightness: 0.8, warmth: 0.2 }, { brightness: 1.1 }]))
+      .toEqual({ brightness: 1.1, warmth: 0.2 });
+  });
+
+  test('element rules add up and a moved selector leaves its old list', () => {
+    const merged = mergeSiteSettings([
+      { elementRules: { never: ['.logo', '.ad'], always: [], media: [] } },
+      { elementRules: { always: ['.logo'], media: ['.map'] } }
+    ]);
+    expect(merged.elementRules).toEqual({ never: ['.ad'], always: ['.logo'], media: ['.map'] });
+  });
+
+  test('custom CSS is concatenated, most specific last', () => {
+    expect(mergeSiteSettings([{ customCss: 'a {}' }, { customCss: 'b {}' }]).customCss).toBe('a {}\nb {}');
+  });
+});
+
+describe('validateSettings', () => {
+  test('accepts the defaults', () => {
+    expect(validateSettings(DEFAULT_SETTINGS)).toEqual([]);
+  });
+
+  test('reports unknown keys, wrong types, ranges and values', () => {
+    expect(validateSettings({ brightnes: 1, enabled: 'yes', contrast: 3, engine: 'canvas' })).toEqual([
+      'unknown setting "brightnes"',
+      'enabled must be a boolean',
+      'contrast must be between 0.5 and 2',
+      'engine must be one of inline, stylesheet'
+    ]);
+  });
+
+  test('rejects non-finite numbers', () => {
+    expect(validateSettings({ warmth: NaN })).toEqual(['warmth must be between 0 and 1']);
+  });
+
+  test('checks palettes and element rules', () => {
+    const customPalette = { ...DEFAULT_SETTINGS.customPalette, text: 'white', glow: '#ffffff' };
+    expect(validateSettings({ customPalette })).toEqual([
+      'customPalette text must be a #rrggbb color',
+      'customPalette has unknown role "glow"'
+    ]);
+    expect(validateSettings({ elementRules: { never: [''], hide: [] } })).toEqual([
+      'elementRules never must be a list of selectors',
+      'elementRules has unknown kind "hide"'
+    ]);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateSettings(null)).toEqual(['must be an object']);
+    expect(validateSettings([])).toEqual(['must be an object']);
+  });
+});
+
+describe('getPaletteColors', () => {
+  test('returns the chosen palette, or null for inversion', () => {
+    expect(getPaletteColors({ palette: 'nord' })).toBe(BUILT_IN_PALETTES.nord.colors);
+    expect(getPaletteColors({ palette: 'custom', customPalette: { text: '#ffffff' } })).toEqual({ text: '#ffffff' });
+    expect(getPaletteColors({ palette: 'invert' })).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+const {
+  parseRulePattern,
+  ruleMatchesUrl,
+  getRuleSpecificity,
+  findMatchingRules,
+  getScopePatterns,
+  hasRegistrableDomain,
+  getRegistrableDomain
+} = require('../src/shared/site-rules');
+
+describe('parseRulePattern', () => {
+  test('splits wildcard, host, port and path', () => {
+    expect(parseRulePattern('*.Example.com:8080/Docs/')).toEqual({
+      wildcard: true,
+      host: 'example.com',
+      port: '8080',
+      path: '/Docs'
+    });
+  });
+
+  test('treats default ports as no port', () => {
+    expect(parseRulePattern('example.com:443').port).toBe('');
+    expect(parseRulePattern('example.com:80').port).toBe('');
+  });
+
+  test('accepts IPv6 hosts', () => {
+    expect(parseRulePattern('[::1]:3000')).toMatchObject({ host: '[::1]', port: '3000' });
+  });
+
+  test('rejects keys that are not patterns', () => {
+    expect(parseRulePattern('https://example.com')).toBeNull();
+    expect(parseRulePattern('exa mple.com')).toBeNull();
+  });
+});
+
+describe('ruleMatchesUrl', () => {
+  const matches = (pattern, href) => ruleMatchesUrl(parseRulePattern(pattern), new URL(href));
+
+  test('exact hosts match only themselves', () => {
+    expect(matches('example.com', 'https://example.com/page')).toBe(true);
+    expect(matches('example.com', 'https://www.example.com/')).toBe(false);
+  });
+
+  test('wildcards cover the domain and its subdomains', () => {
+    expect(matches('*.example.com', 'https://example.com/')).toBe(true);
+    expect(matches('*.example.com', 'https://a.b.example.com/')).toBe(true);
+    expect(matches('*.example.com', 'https://notexample.com/')).toBe(false);
+  });
+
+  test('paths match on whole segments', () => {
+    expect(matches('example.com/admin', 'https://example.com/admin')).toBe(true);
+    expect(matches('example.com/admin', 'https://example.com/admin/users')).toBe(true);
+    expect(matches('example.com/admin', 'https://example.com/administrator')).toBe(false);
+  });
+
+  test('ports must agree when the rule has one', () => {
+    expect(matches('localhost:3000', 'http://localhost:3000/')).toBe(true);
+    expect(matches('localhost:3000', 'http://localhost:4000/')).toBe(false);
+    expect(matches('localhost', 'http://localhost:4000/')).toBe(true);
+    expect(matches('example.com:443', 'https://example.com/')).toBe(true);
+  });
+});
+
+describe('getRuleSpecificity', () => {
+  const specificity = pattern => getRuleSpecificity(parseRulePattern(pattern));
+
+  test('a path beats any host', () => {
+    expect(specificity('*.example.com/docs')).toBeGreaterThan(specificity('a.b.example.com'));
+  });
+
+  test('an exact host beats a wildcard', () => {
+    expect(specificity('example.com')).toBeGreaterThan(specificity('*.example.com'));
+  });
+
+  test('a deeper wildcard beats a shallower one', () => {
+    expect(specificity('*.docs.example.com')).toBeGreaterThan(specificity('*.example.com'));
+  });
+});
+
+describe('findMatchingRules', () => {
+  test('returns matching patterns, least specific first', () => {
+    const patterns = ['example.com/docs', 'other.com', '*.example.com', 'example.com', 'globalSettings'];
+    expect(findMatchingRules(patterns, 'https://example.com/docs/intro'))
+      .toEqual(['*.example.com', 'example.com', 'example.com/docs']);
+  });
+
+  test('returns nothing for an unparsable URL', () => {
+    expect(findMatchingRules(['example.com'], 'not a url')).toEqual([]);
+  });
+});
+
+describe('getScopePatterns', () => {
+  test('offers page, host and registrable domain', () => {
+    expect(getScopePatterns('https://docs.example.co.uk/guide/')).toEqual({
+      page: 'docs.example.co.uk/guide',
+      host: 'docs.example.co.uk',
+      domain: '*.example.co.uk'
+    });
+  });
+
+  test('keeps non-default ports and drops default ones', () => {
+    expect(getScopePatterns('http://dev.example.com:8080/').domain).toBe('*.example.com:8080');
+    expect(getScopePatterns('https://example.com:443/').host).toBe('example.com');
+  });
+
+  test('uses the host as the domain scope for local hosts and IPs', () => {
+    expect(getScopePatterns('http://localhost:3000/app')).toMatchObject({ host: 'localhost:3000', domain: 'localhost:3000' });
+    expect(getScopePatterns('http://192.168.1.10/').domain).toBe('192.168.1.10');
+    expect(getScopePatterns('http://[::1]:8000/').domain).toBe('[::1]:8000');
+  });
+});
+
+describe('getRegistrableDomain', () => {
+  test('keeps two labels, or three under a country registry', () => {
+    expect(getRegistrableDomain('a.b.example.com')).toBe('example.com');
+    expect(getRegistrableDomain('www.example.co.uk')).toBe('example.co.uk');
+    expect(getRegistrableDomain('www.zdf.de')).toBe('zdf.de');
+  });
+
+  test('leaves hosts without a domain alone', () => {
+    expect(hasRegistrableDomain('localhost')).toBe(false);
+    expect(hasRegistrableDomain('10.0.0.1')).toBe(false);
+    expect(getRegistrableDomain('10.0.0.1')).toBe('10.0.0.1');
+  });
+});
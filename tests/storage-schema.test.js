@@ -0,0 +1,145 @@
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+  STORAGE_SCHEMA_VERSION,
+  EXPORT_FORMAT,
+  migrateItems,
+  buildExport,
+  parseImport,
+  validateSchedule
+} = loadScripts([
+  'src/shared/settings.js',
+  'src/shared/site-rules.js',
+  'src/service-worker/storage-schema.js'
+]);
+
+describe('migrateItems', () => {
+  test('upgrades version 1 storage', () => {
+    const migrated = migrateItems({
+      globalSettings: { defaultBrightness: 0.9, defaultContrast: 1, defaultWarmth: 0 },
+      'Example.com': { enabled: true, brightness: 1.2, contrast: 1, warmth: 0 },
+      'quiet.org': { enabled: false, brightness: 1, contrast: 1, warmth: 0 },
+      'not a site': { enabled: true }
+    }, 1);
+
+    expect(migrated.schemaVersion).toBe(STORAGE_SCHEMA_VERSION);
+    expect(migrated.globalSettings).toMatchObject({ brightness: 0.9, enabled: false });
+    expect(migrated['example.com']).toEqual({ enabled: true, brightness: 1.2, contrast: 1, warmth: 0 });
+    expect(migrated).not.toHaveProperty('not a site');
+  });
+
+  test('drops enabled where it matched the old default', () => {
+    const migrated = migrateItems({ 'quiet.org': { enabled: false, brightness: 1 } }, 1);
+    expect(migrated['quiet.org']).toEqual({ brightness: 1 });
+
+    const enabledByDefault = migrateItems({
+      globalSettings: { enabled: true },
+      'quiet.org': { enabled: false },
+      'loud.org': { enabled: true }
+    }, 1);
+    expect(enabledByDefault['quiet.org']).toEqual({ enabled: false });
+    expect(enabledByDefault['loud.org']).toEqual({});
+  });
+
+  test('keeps reserved keys and manual overrides', () => {
+    const override = { enabled: true, until: null };
+    const migrated = migrateItems({ schedule: { mode: 'off' }, 'example.com': { enabled: true, override } }, 1);
+
+    expect(migrated.schedule).toEqual({ mode: 'off' });
+    expect(migrated['example.com'].override).toEqual(override);
+  });
+
+  test('leaves current data as it is', () => {
+    const items = { 'example.com': { brightness: 0.8 } };
+    expect(migrateItems(items, STORAGE_SCHEMA_VERSION)).toEqual({ ...items, schemaVersion: STORAGE_SCHEMA_VERSION });
+  });
+});
+
+describe('parseImport', () => {
+  const exportFile = (extra = {}) => ({
+    format: EXPORT_FORMAT,
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    globalSettings: { brightness: 0.9 },
+    sites: { 'example.com': { contrast: 1.2 } },
+    ...extra
+  });
+
+  test('reads an export file', () => {
+    expect(parseImport(exportFile({ schedule: { mode: 'fixed', start: '20:00', end: '06:00' } }))).toEqual({
+      items: {
+        globalSettings: { brightness: 0.9 },
+        schedule: { mode: 'fixed', start: '20:00', end: '06:00' },
+        'example.com': { contrast: 1.2 }
+      },
+      errors: []
+    });
+  });
+
+  test('round-trips buildExport', () => {
+    const exported = buildExport({
+      globalSettings: { warmth: 0.4 },
+      'example.com': { brightness: 0.8, override: { enabled: true, until: 1 } },
+      scheduleState: { active: true }
+    });
+    const { items, errors } = parseImport(JSON.parse(JSON.stringify(exported)));
+
+    expect(errors).toEqual([]);
+    expect(items['example.com']).toEqual({ brightness: 0.8 });
+    expect(items.globalSettings.warmth).toBe(0.4);
+    expect(items).not.toHaveProperty('scheduleState');
+  });
+
+  test('migrates a raw storage dump from before versioning', () => {
+    const { items, errors } = parseImport({
+      globalSettings: { defaultBrightness: 0.8 },
+      'example.com': { enabled: true, brightness: 1, contrast: 1, warmth: 0 },
+      scheduleState: { active: true }
+    });
+
+    expect(errors).toEqual([]);
+    expect(items.globalSettings.brightness).toBe(0.8);
+    expect(items['example.com']).toEqual({ enabled: true, brightness: 1, contrast: 1, warmth: 0 });
+    expect(items).not.toHaveProperty('scheduleState');
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(parseImport([]).errors).toEqual(['The file does not contain a settings object']);
+    expect(parseImport({ format: 'other' }).errors).toEqual(['Unrecognized format "other"']);
+    expect(parseImport(exportFile({ schemaVersion: 0 })).errors).toEqual(['schemaVersion must be a positive integer']);
+    expect(parseImport(exportFile({ schemaVersion: STORAGE_SCHEMA_VERSION + 1 })).errors[0]).toMatch(/newer than/);
+    expect(parseImport(exportFile({ sites: [] })).errors).toEqual(['"sites" must be an object of site rules']);
+  });
+
+  test('reports invalid patterns, settings and schedules', () => {
+    const { errors } = parseImport(exportFile({
+      sites: { 'https://example.com': {}, 'example.com': { brightness: 9, override: { enabled: true, until: null } } },
+      schedule: { mode: 'fixed', start: '25:00' }
+    }));
+
+    expect(errors).toEqual([
+      'schedule: start must be HH:MM',
+      '"https://example.com" is not a valid site pattern',
+      'example.com: brightness must be between 0.5 and 1.5'
+    ]);
+  });
+
+  test('reports entries a version 1 migration would drop', () => {
+    expect(parseImport({ 'not a site': { enabled: true } }).errors).toEqual(['"not a site" is not a valid site pattern']);
+  });
+});
+
+describe('validateSchedule', () => {
+  test('accepts a complete schedule', () => {
+    expect(validateSchedule({ mode: 'sun', start: '19:00', end: '07:00', latitude: 52.5, longitude: 13.4 })).toEqual([]);
+    expect(validateSchedule({ mode: 'sun', latitude: null, longitude: null })).toEqual([]);
+  });
+
+  test('reports bad modes, times and coordinates', () => {
+    expect(validateSchedule({ mode: 'night', end: '7:00', latitude: 91, longitude: -181 })).toEqual([
+      'mode must be one of off, fixed, sun, system',
+      'end must be HH:MM',
+      'latitude must be between -90 and 90',
+      'longitude must be between -180 and 180'
+    ]);
+  });
+});